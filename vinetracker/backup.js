@@ -0,0 +1,249 @@
+const fs = require('node:fs/promises');
+const path = require('path');
+const { DatabaseSync, backup } = require('node:sqlite');
+
+const { getVersion, migrate, runInTransaction, tableExists } = require('./migrate');
+
+// Scheduled backups are named vinetracker-<ISO timestamp>.db, so sorting by name sorts by age
+const BACKUP_NAME = /^vinetracker-[0-9TZ-]+\.db$/;
+// Marks a JSON file as a full export, so other JSON files aren't mistaken for one
+const EXPORT_FORMAT = 'vinetracker-export';
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * @typedef {object} BackupFile
+ * @prop {string} name File name
+ * @prop {number} size Size in bytes
+ * @prop {Date} createdAt When the backup was made
+ */
+
+/**
+ * @typedef {object} DatabaseExport
+ * @prop {typeof EXPORT_FORMAT} format
+ * @prop {number} schemaVersion Schema version the data was exported from
+ * @prop {string} exportedAt ISO timestamp
+ * @prop {Record<string, Record<string, unknown>[]>} tables Every row of every table, by table name
+ */
+
+/**
+ * @typedef {object} ScheduleOptions
+ * @prop {DatabaseSync} db
+ * @prop {string} dirPath Directory to write backups to
+ * @prop {number} intervalHours How often to back up
+ * @prop {number} keep How many backups to keep
+ */
+
+/**
+ * Copy the DB to a file with SQLite's online backup API, which copies a consistent snapshot while the DB stays in use.
+ * The copy is written under a temporary name first, so a half-written backup is never left behind.
+ * @param {DatabaseSync} db
+ * @param {string} destPath
+ */
+async function backupDatabase(db, destPath) {
+  const partialPath = `${destPath}.partial`;
+  try {
+    // Start from an empty file rather than one left behind by a crash
+    await fs.rm(partialPath, { force: true });
+    await backup(db, partialPath);
+    await fs.rename(partialPath, destPath);
+  } catch (err) {
+    await fs.rm(partialPath, { force: true });
+    throw err;
+  }
+}
+
+/**
+ * Back up the DB into the backups directory, then delete all but the newest backups
+ * @param {DatabaseSync} db
+ * @param {string} dirPath
+ * @param {number} [keep] How many backups to keep, or undefined to leave older ones until the next backup
+ * @returns {Promise<string>} Name of the new backup
+ */
+async function createBackup(db, dirPath, keep) {
+  await fs.mkdir(dirPath, { recursive: true });
+  const name = `vinetracker-${new Date().toISOString().replace(/[:.]/g, '-')}.db`;
+  await backupDatabase(db, path.join(dirPath, name));
+  console.log(`Backed up DB to ${path.join(dirPath, name)}`);
+  if (keep === undefined) return name;
+  const stale = (await listBackups(dirPath)).slice(keep);
+  for (const file of stale) {
+    await fs.rm(path.join(dirPath, file.name), { force: true });
+    console.log(`Deleted old backup ${file.name}`);
+  }
+  return name;
+}
+
+/**
+ * List the backups in the backups directory, newest first
+ * @param {string} dirPath
+ * @returns {Promise<BackupFile[]>}
+ */
+async function listBackups(dirPath) {
+  let names;
+  try {
+    names = await fs.readdir(dirPath);
+  } catch (err) {
+    if (/** @type {NodeJS.ErrnoException} */ (err).code === 'ENOENT') return [];
+    throw err;
+  }
+  const backups = [];
+  for (const name of names.filter(isBackupName).sort().reverse()) {
+    const stats = await fs.stat(path.join(dirPath, name));
+    backups.push({ name, size: stats.size, createdAt: stats.mtime });
+  }
+  return backups;
+}
+
+/**
+ * Check whether a file name is one of ours, so only those are listed, served or pruned
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isBackupName(name) {
+  return BACKUP_NAME.test(name);
+}
+
+/**
+ * Back up the DB whenever the newest backup is older than the interval. Checked hourly rather than on a fixed timer,
+ * so restarting the addon doesn't put off the next backup.
+ * @param {ScheduleOptions} options
+ * @returns {() => void} Function that stops backing up
+ */
+function scheduleBackups({ db, dirPath, intervalHours, keep }) {
+  console.log(`Backing up DB to ${dirPath} every ${intervalHours} hours`);
+  let running = false;
+  const check = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const [newest] = await listBackups(dirPath);
+      if (!newest || Date.now() - newest.createdAt.getTime() >= intervalHours * 60 * 60 * 1000) {
+        await createBackup(db, dirPath, keep);
+      }
+    } catch (err) {
+      console.error('Failed to back up DB:', err);
+    } finally {
+      running = false;
+    }
+  };
+  const timer = setInterval(check, Math.min(CHECK_INTERVAL_MS, intervalHours * 60 * 60 * 1000));
+  check();
+  return () => clearInterval(timer);
+}
+
+/**
+ * Get the tables that hold data, leaving out SQLite's own and full-text indexes, which are rebuilt from the tables
+ * they index
+ * @param {DatabaseSync} db
+ * @returns {string[]}
+ */
+function getDataTables(db) {
+  const tables = db.prepare(`SELECT name, sql FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'
+    ORDER BY name`).all().map(row => ({ name: String(row.name), sql: String(row.sql) }));
+  const virtual = tables.filter(t => /^CREATE VIRTUAL TABLE/i.test(t.sql)).map(t => t.name);
+  return tables
+    .map(t => t.name)
+    .filter(name => !virtual.some(v => name === v || name.startsWith(`${v}_`)));
+}
+
+/**
+ * Export every row of every table as JSON-friendly data. Unlike the yearly order export, nothing is left out, so
+ * importing it into another install recreates the same data.
+ * @param {DatabaseSync} db
+ * @returns {DatabaseExport}
+ */
+function exportDatabase(db) {
+  /** @type {DatabaseExport['tables']} */
+  const tables = {};
+  for (const name of getDataTables(db)) {
+    tables[name] = db.prepare(`SELECT * FROM "${name}" ORDER BY rowid`).all().map(row => ({ ...row }));
+  }
+  return {
+    format: EXPORT_FORMAT,
+    schemaVersion: getVersion(db),
+    exportedAt: new Date().toISOString(),
+    tables
+  };
+}
+
+/**
+ * Replace everything in the DB with the contents of an export. Throws without changing anything if the export is
+ * invalid or from a different schema version.
+ * @param {DatabaseSync} db
+ * @param {unknown} data Parsed export
+ */
+function importDatabase(db, data) {
+  if (!data || typeof data !== 'object' || !('format' in data) || data.format !== EXPORT_FORMAT) {
+    throw new Error('Not a Vine Tracker export');
+  }
+  const { schemaVersion, tables } = /** @type {DatabaseExport} */ (data);
+  const currentVersion = getVersion(db);
+  if (schemaVersion > currentVersion) {
+    throw new Error(`Export is from DB v${schemaVersion}, which is newer than this addon's v${currentVersion}. Please update the addon.`);
+  }
+  if (schemaVersion !== currentVersion) {
+    throw new Error(`Export is from DB v${schemaVersion}, but this addon is at v${currentVersion}. Update the addon it came from and export again, or restore a backup instead.`);
+  }
+  if (!tables || typeof tables !== 'object') {
+    throw new Error('Export has no tables');
+  }
+  const names = getDataTables(db);
+  const unknown = Object.keys(tables).filter(name => !names.includes(name));
+  if (unknown.length) {
+    throw new Error(`Export has unknown tables: ${unknown.join(', ')}`);
+  }
+
+  runInTransaction(db, () => {
+    // Rows reference each other across tables, so only check foreign keys once everything is in
+    db.exec('PRAGMA defer_foreign_keys = ON');
+    for (const name of names) {
+      db.exec(`DELETE FROM "${name}"`);
+    }
+    for (const name of names) {
+      const rows = tables[name] ?? [];
+      if (!Array.isArray(rows)) {
+        throw new Error(`Export has invalid rows for table ${name}`);
+      }
+      const columns = db.prepare(`PRAGMA table_info("${name}")`).all().map(row => String(row.name));
+      for (const row of rows) {
+        const keys = Object.keys(row ?? {});
+        const unknownColumns = keys.filter(key => !columns.includes(key));
+        if (!keys.length || unknownColumns.length) {
+          throw new Error(`Export has an invalid row for table ${name}`);
+        }
+        db.prepare(`INSERT INTO "${name}" (${keys.map(k => `"${k}"`).join(', ')}) VALUES (${keys.map(() => '?').join(', ')})`)
+          .run(.../** @type {import('node:sqlite').SQLInputValue[]} */ (keys.map(k => row[k])));
+      }
+    }
+  });
+}
+
+/**
+ * Replace everything in the DB with the contents of a backup file. The backup is migrated to the current schema
+ * first, so backups from older versions of the addon can be restored.
+ * @param {DatabaseSync} db
+ * @param {string} filePath Backup to restore. It's migrated in place, so pass a copy.
+ */
+function restoreBackup(db, filePath) {
+  const source = new DatabaseSync(filePath);
+  try {
+    if (!tableExists(source, 'orders')) {
+      throw new Error('Not a Vine Tracker backup');
+    }
+    migrate(source);
+    importDatabase(db, exportDatabase(source));
+  } finally {
+    source.close();
+  }
+}
+
+module.exports = {
+  backupDatabase,
+  createBackup,
+  exportDatabase,
+  importDatabase,
+  isBackupName,
+  listBackups,
+  restoreBackup,
+  scheduleBackups
+};
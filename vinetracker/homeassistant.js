@@ -0,0 +1,90 @@
+const SUPERVISOR_API = process.env.SUPERVISOR_API || 'http://supervisor/core/api';
+
+/**
+ * Whether the Home Assistant Core API is reachable through the Supervisor
+ * @returns {boolean}
+ */
+function isAvailable() {
+  return Boolean(process.env.SUPERVISOR_TOKEN);
+}
+
+/**
+ * Call the Home Assistant Core API through the Supervisor proxy
+ * @param {string} method HTTP method
+ * @param {string} apiPath Path relative to /core/api, e.g. /states/sensor.foo
+ * @param {unknown} [body] JSON body to send
+ * @returns {Promise<unknown>} Parsed JSON response
+ */
+async function callApi(method, apiPath, body) {
+  const res = await fetch(`${SUPERVISOR_API}${apiPath}`, {
+    method,
+    headers: {
+      'Authorization': `Bearer ${process.env.SUPERVISOR_TOKEN}`,
+      'Content-Type': 'application/json'
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  if (!res.ok) {
+    throw new Error(`Home Assistant API ${method} ${apiPath} failed: ${res.status} ${await res.text()}`);
+  }
+  return res.json();
+}
+
+/**
+ * @typedef {object} SensorState
+ * @prop {string} entityId Entity ID, e.g. sensor.vine_ytd_etv
+ * @prop {string | number} state State value
+ * @prop {Record<string, unknown>} [attributes] State attributes
+ */
+/**
+ * Create or update the state of a set of sensors
+ * @param {SensorState[]} sensors Sensors to publish
+ */
+async function setStates(sensors) {
+  if (!isAvailable()) return;
+  for (const { entityId, state, attributes } of sensors) {
+    await callApi('POST', `/states/${entityId}`, { state, attributes });
+  }
+}
+
+/**
+ * Fire an event on Home Assistant's event bus, for automations to trigger on
+ * @param {string} eventType Event type, e.g. vinetracker_import_complete
+ * @param {Record<string, unknown>} data Event data
+ */
+async function fireEvent(eventType, data) {
+  if (!isAvailable()) return;
+  await callApi('POST', `/events/${eventType}`, data);
+}
+
+/**
+ * @typedef {object} Notification
+ * @prop {string} id Notification ID. Creating a notification with the ID of one that's still showing replaces it.
+ * @prop {string} title Title
+ * @prop {string} message Message, in Markdown
+ */
+/**
+ * Show a persistent notification in Home Assistant
+ * @param {Notification} notification
+ */
+async function createNotification({ id, title, message }) {
+  if (!isAvailable()) return;
+  await callApi('POST', '/services/persistent_notification/create', { notification_id: id, title, message });
+}
+
+/**
+ * Dismiss a persistent notification, if it's still showing
+ * @param {string} id Notification ID
+ */
+async function dismissNotification(id) {
+  if (!isAvailable()) return;
+  await callApi('POST', '/services/persistent_notification/dismiss', { notification_id: id });
+}
+
+module.exports = {
+  createNotification,
+  dismissNotification,
+  fireEvent,
+  isAvailable,
+  setStates
+};
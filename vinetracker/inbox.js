@@ -0,0 +1,128 @@
+const fs = require('node:fs/promises');
+const path = require('path');
+
+const { isSupportedFile } = require('./parse');
+
+// Files still being copied in (e.g. over Samba) keep changing, so wait until they've settled
+const SETTLE_MS = 5000;
+
+/**
+ * @callback ImportFile
+ * @param {Buffer} buffer Contents of the file
+ * @param {string} filename Name of the file
+ * @param {string} [accountName] Account the file was dropped in for, or undefined for the default account
+ * @returns {Promise<import('./index').ImportResult>}
+ */
+
+/**
+ * @typedef {object} InboxOptions
+ * @prop {string} basePath Directory holding the inbox, processed and failed directories
+ * @prop {number} intervalSeconds How often to check the inbox
+ * @prop {ImportFile} importFile Import a file, with the same logic as an upload
+ */
+
+/**
+ * Watch the inbox directory for order exports. Each one is imported, then moved to the processed
+ * directory, or the failed directory if it couldn't be imported, along with a log of the outcome.
+ * Files directly in the inbox go to the default account, and files in a subdirectory go to the
+ * account with that name.
+ * @param {InboxOptions} options
+ * @returns {Promise<() => void>} Function that stops watching
+ */
+async function watchInbox({ basePath, intervalSeconds, importFile }) {
+  const inboxPath = path.join(basePath, 'inbox');
+  const processedPath = path.join(basePath, 'processed');
+  const failedPath = path.join(basePath, 'failed');
+  for (const dir of [inboxPath, processedPath, failedPath]) {
+    await fs.mkdir(dir, { recursive: true });
+  }
+  console.log(`Watching ${inboxPath} for order exports`);
+
+  let running = false;
+  const check = async () => {
+    // A slow import shouldn't overlap with the next check
+    if (running) return;
+    running = true;
+    try {
+      await processInbox(inboxPath, processedPath, failedPath, importFile);
+    } catch (err) {
+      console.error('Failed to check inbox:', err);
+    } finally {
+      running = false;
+    }
+  };
+  const timer = setInterval(check, intervalSeconds * 1000);
+  check();
+  return () => clearInterval(timer);
+}
+
+/**
+ * Import every settled file in the inbox and its account subdirectories
+ * @param {string} inboxPath
+ * @param {string} processedPath
+ * @param {string} failedPath
+ * @param {ImportFile} importFile
+ */
+async function processInbox(inboxPath, processedPath, failedPath, importFile) {
+  await processDirectory(inboxPath, processedPath, failedPath, importFile);
+  const entries = await fs.readdir(inboxPath, { withFileTypes: true });
+  for (const entry of entries) {
+    if (!entry.isDirectory() || entry.name.startsWith('.')) continue;
+    await processDirectory(path.join(inboxPath, entry.name), processedPath, failedPath, importFile, entry.name);
+  }
+}
+
+/**
+ * Import every settled file in a single inbox directory
+ * @param {string} dirPath
+ * @param {string} processedPath
+ * @param {string} failedPath
+ * @param {ImportFile} importFile
+ * @param {string} [accountName] Account the directory belongs to, or undefined for the default account
+ */
+async function processDirectory(dirPath, processedPath, failedPath, importFile, accountName) {
+  const entries = await fs.readdir(dirPath, { withFileTypes: true });
+  for (const entry of entries) {
+    if (!entry.isFile() || entry.name.startsWith('.')) continue;
+    const filePath = path.join(dirPath, entry.name);
+    const stats = await fs.stat(filePath);
+    if (Date.now() - stats.mtimeMs < SETTLE_MS) continue;
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const destName = `${stamp}-${accountName ? `${accountName}-` : ''}${entry.name}`;
+    /** @type {string[]} */
+    const log = [`File: ${entry.name}`, `Account: ${accountName ?? 'default'}`, `Processed at: ${new Date().toISOString()}`];
+    let failed = false;
+    if (!isSupportedFile(entry.name)) {
+      failed = true;
+      log.push('Error: unsupported file type');
+    } else {
+      try {
+        const result = await importFile(await fs.readFile(filePath), entry.name, accountName);
+        log.push(
+          `New: ${result.inserted}`,
+          `Updated: ${result.updated}`,
+          `Unchanged: ${result.unchanged}`,
+          `Cancelled: ${result.cancellations}`,
+          `Adjusted by rules: ${result.ruleAdjusted}`,
+          `Flagged for review: ${result.flagged}`,
+          ...result.etvChanges.map(c => `  ${c.number}: ETV changed from ${c.oldEtv} to ${c.newEtv}`),
+          `Rejected: ${result.failed}`,
+          ...result.rejected.map(r => `  Line ${r.line}${r.number ? ` (${r.number})` : ''}: ${r.reason}`)
+        );
+      } catch (err) {
+        failed = true;
+        log.push(`Error: ${err instanceof Error ? err.message : String(err)}`);
+      }
+    }
+
+    const destDir = failed ? failedPath : processedPath;
+    await fs.rename(filePath, path.join(destDir, destName));
+    await fs.writeFile(path.join(destDir, `${destName}.log`), log.join('\n') + '\n');
+    console.log(`Inbox: ${failed ? 'failed to import' : 'imported'} ${entry.name}`);
+  }
+}
+
+module.exports = {
+  watchInbox
+};
@@ -9,7 +9,9 @@ Graceful.on('exit', (signal, details) => {
   }
 });
 
+const crypto = require('node:crypto');
 const fs = require('node:fs');
+const os = require('node:os');
 const { DatabaseSync } = require('node:sqlite')
 
 const express = require('express');
@@ -17,9 +19,26 @@ const fileUpload = require('express-fileupload');
 const Handlebars = require('handlebars');
 const morgan = require('morgan');
 const path = require('path');
+const XLSX = require('xlsx');
 
-const { migrate } = require('./migrate');
-const { xlsxParse } = require('./xlsx');
+const { backupDatabase, createBackup, exportDatabase, importDatabase, isBackupName, listBackups, restoreBackup, scheduleBackups } = require('./backup');
+const homeAssistant = require('./homeassistant');
+const { watchInbox } = require('./inbox');
+const { migrate, runInTransaction } = require('./migrate');
+const openApiDocument = require('./openapi');
+const { getOptions } = require('./options');
+const { isSupportedFile, parseOrderFile, supportedExtensions } = require('./parse');
+const { PriceSourceError, createFileSource, getMedianPrice, manualSource } = require('./price-sources');
+const { getDisposalEligibleDate, inventoryStatuses, isEligibleForDisposal, isInventoryStatus } = require('./inventory');
+const { findMatchingRule, hasCriteria, matchesRule } = require('./rules');
+const { getAdjustedEtv, getDateString, getEstimatedTax, summarizePeriod, summarizeTaxYear } = require('./tax-year');
+const { ImportFormatError, mergeImportedOrder, validateRow } = require('./xlsx');
+
+// Which day, month and year an order falls in depends on the local timezone, and the addon container's is usually
+// UTC. Set before anything formats a date, so every date computation uses the configured one.
+if (getOptions().timezone) {
+  process.env.TZ = getOptions().timezone;
+}
 
 const shortDateFormatter = new Intl.DateTimeFormat('en-US', {
   month: 'numeric',
@@ -72,10 +91,85 @@ function multiply(num1, num2) {
 }
 Handlebars.registerHelper('multiply', multiply);
 
+/**
+ * Serialize a value as JSON that is safe to embed in an inline script
+ * @param {unknown} value Value to serialize
+ * @returns {string} JSON
+ */
+function renderJson(value) {
+  return (JSON.stringify(value) ?? 'null').replace(/</g, '\\u003c');
+}
+Handlebars.registerHelper('json', renderJson);
+
+// Image types photos may be uploaded as, which are shown inline. Others, like SVG, can run script on the ingress
+// origin.
+const PHOTO_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+/**
+ * Check whether a MIME type is an image that's safe to show inline
+ * @param {string | null} mimetype MIME type
+ * @returns {mimetype is string}
+ */
+function isImage(mimetype) {
+  return PHOTO_IMAGE_TYPES.includes(mimetype ?? '');
+}
+Handlebars.registerHelper('isImage', isImage);
+
+/**
+ * Render a factor as a percent number, without the percent sign
+ * @param {number | null} factor Factor, e.g. 0.2
+ * @returns {string} Percent, e.g. 20, or empty if there's no factor
+ */
+function renderPercent(factor) {
+  if (factor === null || factor === undefined) return '';
+  return String(Math.round(factor * 10000) / 100);
+}
+Handlebars.registerHelper('percent', renderPercent);
+
+/**
+ * Check whether two values are equal
+ * @param {unknown} a
+ * @param {unknown} b
+ * @returns {boolean}
+ */
+function eq(a, b) {
+  return a === b;
+}
+Handlebars.registerHelper('eq', eq);
+
+/**
+ * Render an inventory status's display name
+ * @param {string | undefined} status Status ID
+ * @returns {string}
+ */
+function renderStatusLabel(status) {
+  return inventoryStatuses.find(s => s.id === status)?.label ?? '';
+}
+Handlebars.registerHelper('statusLabel', renderStatusLabel);
+Handlebars.registerPartial('navbar', fs.readFileSync(path.join(__dirname, 'navbar.hbs'), 'utf-8'));
+Handlebars.registerPartial('carouselCards', fs.readFileSync(path.join(__dirname, 'carousel-cards.hbs'), 'utf-8'));
+Handlebars.registerPartial('reasonOptions', fs.readFileSync(path.join(__dirname, 'reason-options.hbs'), 'utf-8'));
+Handlebars.registerPartial('taxReportTables', fs.readFileSync(path.join(__dirname, 'tax-report-tables.hbs'), 'utf-8'));
+Handlebars.registerPartial('escapeHtml', fs.readFileSync(path.join(__dirname, 'escape-html.hbs'), 'utf-8'));
+Handlebars.registerPartial('historyPanel', fs.readFileSync(path.join(__dirname, 'history-panel.hbs'), 'utf-8'));
+
 const dbBasePath = process.env.DB_BASE_PATH || __dirname;
 const db = new DatabaseSync(path.join(dbBasePath, 'vinetracker.db'), {
   open: false,
 });
+const photosBasePath = path.join(dbBasePath, 'vinetracker', 'photos');
+const backupsPath = path.join(dbBasePath, 'vinetracker', 'backups');
+
+/**
+ * Where comparable prices for orders can come from. Add a source here to offer it on the order page.
+ * @type {import('./price-sources').PriceSource[]}
+ */
+const priceSources = [
+  manualSource,
+  createFileSource(path.join(dbBasePath, 'vinetracker', 'prices.json'))
+];
+// Set by the account switcher in the navbar
+const ACCOUNT_COOKIE = 'vinetracker_account';
 const app = express();
 app.use(morgan('combined'));
 app.use((req, res, next) => {
@@ -87,16 +181,18 @@ app.use((req, res, next) => {
     next();
   }
 });
-
-const lowReasons = [
-  'Damaged/defective',
-  'Disposed of',
-  'Consumed for review',
-  'Did not receive'
-];
-const highReasons = [
-  'Brand name'
-];
+// Front-end libraries are served from node_modules rather than a CDN, so the panel works without internet access
+for (const pkg of ['bootstrap', 'chart.js', 'dropzone', 'gridjs', 'jquery', 'lodash.debounce', 'slick-carousel']) {
+  app.use(`/vendor/${pkg}`, express.static(path.join(__dirname, 'node_modules', pkg), { maxAge: '1d' }));
+}
+app.get('/sw.js', (req, res) => {
+  // Browsers check for service worker updates themselves, so don't let a cached copy get in the way
+  res.set('Cache-Control', 'no-cache');
+  res.sendFile(path.join(__dirname, 'sw.js'));
+});
+// Routes that are also served by the token-authenticated REST API, see startApi
+const apiRoutes = express.Router();
+app.use(apiRoutes);
 
 /** @type {ReturnType<Handlebars.compile>} */
 let homeTemplate;
@@ -105,16 +201,106 @@ let overviewTemplate;
 /** @type {ReturnType<Handlebars.compile>} */
 let taxReportTemplate;
 /** @type {ReturnType<Handlebars.compile>} */
+let taxReportPrintTemplate;
+/** @type {ReturnType<Handlebars.compile>} */
 let carouselTemplate;
+// Renders just the cards, for loading the next batch into a carousel that's already open
+const carouselCardsTemplate = Handlebars.compile('{{> carouselCards}}');
+/** @type {ReturnType<Handlebars.compile>} */
+let orderTemplate;
+/** @type {ReturnType<Handlebars.compile>} */
+let settingsTemplate;
+/** @type {ReturnType<Handlebars.compile>} */
+let reviewTemplate;
+/** @type {ReturnType<Handlebars.compile>} */
+let inventoryTemplate;
+
+/**
+ * Get the values every page template needs
+ * @param {import('express').Request} req
+ */
+function getPageContext(req) {
+  const accountId = getAccountScope(req);
+  return {
+    ingress: req.get('x-ingress-path') || '',
+    accounts: getAccounts(),
+    // Either an account ID or 'all' for the combined view, to match the account switcher's values
+    account: accountId ?? 'all',
+    // Shown as a badge on the navbar's review link
+    reviewCount: countOpenReviewItems(accountId)
+  };
+}
+
+const CAROUSEL_BATCH_SIZE = 20;
+
+/**
+ * Parse the carousel's review queue filters. The queue is every unadjusted, uncancelled order that isn't snoozed,
+ * oldest first.
+ * @param {express.Request} req
+ * @returns {{ error: string } | { options: GetOrdersOptions, filters: { year?: number, minEtv?: number, maxEtv?: number } }}
+ */
+function getCarouselQueueOptions(req) {
+  const strYear = safeQsString(req.query['year']);
+  const year = strYear ? parseYear(strYear) : undefined;
+  if (strYear && year === undefined) {
+    return { error: `Invalid year '${strYear}'` };
+  }
+  const minEtv = parseNumberParam(req.query, 'minEtv');
+  if ('error' in minEtv) return minEtv;
+  const maxEtv = parseNumberParam(req.query, 'maxEtv');
+  if ('error' in maxEtv) return maxEtv;
+  if (minEtv.value !== undefined && maxEtv.value !== undefined && minEtv.value > maxEtv.value) {
+    return { error: 'Invalid ETV range. minEtv must not be more than maxEtv' };
+  }
+  const filters = { year, minEtv: minEtv.value, maxEtv: maxEtv.value };
+  return {
+    options: {
+      accountId: getAccountScope(req),
+      nonAdjustedOnly: true,
+      cancelled: false,
+      snoozed: false,
+      ...filters,
+      dir: 'asc'
+    },
+    filters
+  };
+}
+
+/**
+ * Get the next batch of orders to review in the carousel, with their comparable prices
+ * @param {GetOrdersOptions} options Queue options from getCarouselQueueOptions
+ * @param {number} offset How many orders at the front of the queue to step over
+ */
+function getCarouselBatch(options, offset) {
+  return getOrders({ ...options, limit: CAROUSEL_BATCH_SIZE, offset })
+    .map(o => {
+      const comps = getCompsForOrder(o.accountId, o.number);
+      return { ...o, compCount: comps.length, fairMarketValue: getMedianPrice(comps) };
+    });
+}
+
+/**
+ * Get the configured reasons and factor presets, for templates that let you adjust an order
+ */
+function getAdjustmentContext() {
+  const reasons = getReasons();
+  return {
+    reasons,
+    lowReasons: reasons.filter(r => r.kind === 'low'),
+    highReasons: reasons.filter(r => r.kind === 'high'),
+    otherReasons: reasons.filter(r => r.kind === 'other'),
+    presets: getFactorPresets()
+  };
+}
+
 app.get('/', (req, res) => {
   if (!homeTemplate) {
     const homeHtml = fs.readFileSync(path.join(__dirname, 'home.hbs'), 'utf-8');
     homeTemplate = Handlebars.compile(homeHtml);
   }
   res.send(homeTemplate({
-    ingress: req.get('x-ingress-path') || '',
-    lowReasons,
-    highReasons
+    ...getPageContext(req),
+    ...getAdjustmentContext()
   }));
 });
 app.get('/overview', (req, res) => {
@@ -122,7 +308,37 @@ app.get('/overview', (req, res) => {
     const overviewHtml = fs.readFileSync(path.join(__dirname, 'overview.hbs'), 'utf-8');
     overviewTemplate = Handlebars.compile(overviewHtml);
   }
-  res.send(overviewTemplate({ ingress: req.get('x-ingress-path') || '' }));
+  res.send(overviewTemplate(getPageContext(req)));
+});
+app.get('/tax-report/:year.csv', (req, res) => {
+  const year = parseYear(req.params.year);
+  if (year === undefined) {
+    const error = `Invalid year '${req.params.year}'`;
+    console.error(error);
+    res.status(400).json({ error });
+    return;
+  }
+  const report = getTaxReport(year, getAccountScope(req));
+  res.set('Content-Disposition', `attachment; filename="tax-report-${year}.csv"`);
+  res.type('text/csv').send(toTaxReportCsv(report));
+});
+app.get('/tax-report/:year/print', (req, res) => {
+  if (!taxReportPrintTemplate) {
+    const taxReportPrintHtml = fs.readFileSync(path.join(__dirname, 'tax-report-print.hbs'), 'utf-8');
+    taxReportPrintTemplate = Handlebars.compile(taxReportPrintHtml);
+  }
+
+  const year = parseYear(req.params.year);
+  if (year === undefined) {
+    res.status(400).send(`Invalid year '${req.params.year}'`);
+    return;
+  }
+  const accountId = getAccountScope(req);
+  res.send(taxReportPrintTemplate({
+    ...getPageContext(req),
+    ...getTaxReport(year, accountId),
+    accountName: accountId === undefined ? 'All accounts' : getAccount(accountId)?.name
+  }));
 });
 app.get('/tax-report{/:year}', (req, res) => {
   if (!taxReportTemplate) {
@@ -131,61 +347,196 @@ app.get('/tax-report{/:year}', (req, res) => {
   }
 
   const strYear = req.params.year;
-  const currentYear = new Date().getFullYear();
-  const year = strYear ? parseInt(strYear) : currentYear;
-  if (isNaN(year) || year < 2000 || year > 3000) {
-    const error = `Invalid year '${strYear}'`;
+  const year = strYear ? parseYear(strYear) : new Date().getFullYear();
+  if (year === undefined) {
+    res.status(400).send(`Invalid year '${strYear}'`);
+    return;
   }
-  const rawOrders = getOrders({ year, byDelivered: true, dir: 'asc' });
-  const allOrders = rawOrders.map(o => ({
-    ...o,
-    etvReason: o.etvReason === 'Brand name'
-      ? 'Thrift shop value'
-      : o.etvReason ?? (o.etvFactor === 0.2 ? 'Thrift shop value' : undefined)
-  }));
 
-  const ordersForYear = allOrders.filter(o => (!o.cancelledAt || o.cancelledAt.getFullYear() !== year) &&
-    ((!o.deliveredAt && o.orderedAt.getFullYear() === year) || o.deliveredAt?.getFullYear() === year));
-  const cancellationsFromPriorYear = allOrders.filter(o => (o.deliveredAt ? o.deliveredAt.getFullYear() < year : o.orderedAt.getFullYear() < year) && o.cancelledAt?.getFullYear() === year);
+  res.send(taxReportTemplate({ ...getPageContext(req), ...getTaxReport(year, getAccountScope(req)) }));
+});
+app.get('/carousel', (req, res) => {
+  if (!carouselTemplate) {
+    const carouselHtml = fs.readFileSync(path.join(__dirname, 'carousel.hbs'), 'utf-8');
+    carouselTemplate = Handlebars.compile(carouselHtml);
+  }
 
-  /** @typedef {'bad' | 'adjusted' | 'cancelPrior'} Groups */
-  /** @type {Partial<Record<Groups, Order[]>>} */
-  const orders = Object.groupBy(ordersForYear, ({ etvReason }) =>
-    etvReason && ['Damaged/defective', 'Disposed of', 'Did not receive'].includes(etvReason) ? 'bad' : 'adjusted');
-  orders.cancelPrior = cancellationsFromPriorYear;
+  const queue = getCarouselQueueOptions(req);
+  if ('error' in queue) {
+    console.error(queue.error);
+    res.status(400).send(queue.error);
+    return;
+  }
 
-  const badTotalAdjustmentRaw = orders.bad?.reduce((acc, o) => acc + (o.etv - (o.etv * (o.etvFactor ?? 1))), 0);
-  const otherTotalAdjustmentRaw = orders.adjusted?.reduce((acc, o) => acc + (o.etv - (o.etv * (o.etvFactor ?? 1))), 0);
+  res.send(carouselTemplate({
+    ...getPageContext(req),
+    ...getAdjustmentContext(),
+    orders: getCarouselBatch(queue.options, 0),
+    remaining: getOrders({ ...queue.options, countOnly: true }),
+    snoozedCount: getOrders({ ...queue.options, snoozed: true, countOnly: true }),
+    filters: queue.filters,
+    batchSize: CAROUSEL_BATCH_SIZE
+  }));
+});
+app.get('/carousel/batch', (req, res) => {
+  const queue = getCarouselQueueOptions(req);
+  if ('error' in queue) {
+    console.error(queue.error);
+    res.status(400).json({ error: queue.error });
+    return;
+  }
+  // Skipped orders are still in the queue, so the client says how many to step over
+  const offset = safeParseInt(req.query['offset']) ?? 0;
+  if (offset < 0) {
+    const error = 'Invalid offset. Must be 0 or more';
+    console.error(error);
+    res.status(400).json({ error });
+    return;
+  }
+  try {
+    const orders = getCarouselBatch(queue.options, offset);
+    res.json({
+      count: orders.length,
+      html: carouselCardsTemplate({ ingress: getPageContext(req).ingress, ...getAdjustmentContext(), orders }),
+      remaining: getOrders({ ...queue.options, countOnly: true })
+    });
+  } catch (err) {
+    const msg = typeof err === 'object' && err && 'message' in err && err.message;
+    console.error(msg);
+    res.status(500).json({ error: msg });
+    return;
+  }
+});
+app.get('/order/:number', (req, res) => {
+  if (!orderTemplate) {
+    const orderHtml = fs.readFileSync(path.join(__dirname, 'order.hbs'), 'utf-8');
+    orderTemplate = Handlebars.compile(orderHtml);
+  }
 
-  const currencyFormatter = new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: 'USD',
-  });
+  const scope = getAccountScope(req);
+  const accountIds = getAccountIdsForOrder(req.params.number).filter(id => scope === undefined || id === scope);
+  if (!accountIds.length) {
+    res.status(404).send(`Order '${req.params.number}' not found`);
+    return;
+  }
+  if (accountIds.length > 1) {
+    res.status(409).send(`Order '${req.params.number}' exists in more than one account. Please choose an account.`);
+    return;
+  }
+  const order = getOrder(accountIds[0], req.params.number);
+  const photos = getPhotosForOrder(accountIds[0], req.params.number);
+  const rule = order?.ruleId ? getRules().find(r => r.id === order.ruleId) : undefined;
+  const comps = getCompsForOrder(accountIds[0], req.params.number);
 
-  const badTotalAdjustment = currencyFormatter.format(badTotalAdjustmentRaw ?? 0);
-  const otherTotalAdjustment = currencyFormatter.format(otherTotalAdjustmentRaw ?? 0);
+  res.send(orderTemplate({
+    ...getPageContext(req),
+    ...getAdjustmentContext(),
+    order,
+    photos,
+    rule,
+    comps,
+    fairMarketValue: getMedianPrice(comps),
+    priceSources: priceSources.filter(s => !s.manual).map(s => ({ id: s.id, name: s.name })),
+    statuses: inventoryStatuses,
+    statusChanges: getStatusChanges(accountIds[0], req.params.number),
+    eligibleAt: order ? getDisposalEligibleDate(order) : undefined,
+    today: getDateString(new Date())
+  }));
+});
+app.get('/review', (req, res) => {
+  if (!reviewTemplate) {
+    const reviewHtml = fs.readFileSync(path.join(__dirname, 'review.hbs'), 'utf-8');
+    reviewTemplate = Handlebars.compile(reviewHtml);
+  }
 
-  res.send(taxReportTemplate({ ingress: req.get('x-ingress-path') || '', orders, year, badTotalAdjustment, otherTotalAdjustment }));
+  const accounts = getAccounts();
+  const items = getOpenReviewItems(getAccountScope(req)).map(item => ({
+    ...item,
+    order: getOrder(item.accountId, item.number),
+    related: item.relatedNumber ? getOrder(item.accountId, item.relatedNumber) : undefined,
+    accountName: accounts.find(a => a.id === item.accountId)?.name
+  }));
+  res.send(reviewTemplate({
+    ...getPageContext(req),
+    etvChanges: items.filter(i => i.kind === 'etvChanged'),
+    duplicates: items.filter(i => i.kind === 'duplicateAsin'),
+    replacements: items.filter(i => i.kind === 'replacement'),
+    combinedView: getAccountScope(req) === undefined
+  }));
 });
-app.get('/carousel', (req, res) => {
-  if (!carouselTemplate) {
-    const carouselHtml = fs.readFileSync(path.join(__dirname, 'carousel.hbs'), 'utf-8');
-    carouselTemplate = Handlebars.compile(carouselHtml);
+app.get('/inventory', (req, res) => {
+  if (!inventoryTemplate) {
+    const inventoryHtml = fs.readFileSync(path.join(__dirname, 'inventory.hbs'), 'utf-8');
+    inventoryTemplate = Handlebars.compile(inventoryHtml);
   }
 
-  const orders = getOrders({ nonAdjustedOnly: true, cancelled: false, limit: 20, dir: 'asc' });
+  // 'none' lists items without a status yet
+  const statusParam = safeQsString(req.query['status']);
+  const status = statusParam === 'none' || isInventoryStatus(statusParam) ? statusParam : 'all';
+  const eligibilityParam = safeQsString(req.query['eligibility']);
+  const eligibility = ['eligible', 'retained', 'unshipped'].includes(eligibilityParam ?? '') ? eligibilityParam : 'all';
+  const now = new Date();
+  const orders = getOrders({ accountId: getAccountScope(req), cancelled: false });
+  const statusCounts = inventoryStatuses.map(s => ({ ...s, count: orders.filter(o => o.status === s.id).length }));
+  const items = orders
+    .filter(o => status === 'all' || (status === 'none' ? !o.status : o.status === status))
+    .filter(o => {
+      if (eligibility === 'eligible') return isEligibleForDisposal(o, now);
+      if (eligibility === 'retained') return !!o.deliveredAt && !isEligibleForDisposal(o, now);
+      if (eligibility === 'unshipped') return !o.deliveredAt;
+      return true;
+    })
+    .map(o => ({ ...o, eligibleAt: getDisposalEligibleDate(o), eligible: isEligibleForDisposal(o, now) }))
+    // Soonest eligible first, with unshipped items last
+    .sort((a, b) => (a.eligibleAt?.getTime() ?? Infinity) - (b.eligibleAt?.getTime() ?? Infinity));
+
+  res.send(inventoryTemplate({
+    ...getPageContext(req),
+    statuses: inventoryStatuses,
+    statusCounts,
+    noStatusCount: orders.filter(o => !o.status).length,
+    totalCount: orders.length,
+    status,
+    eligibility,
+    items,
+    today: getDateString(now)
+  }));
+});
+app.get('/settings', async (req, res) => {
+  if (!settingsTemplate) {
+    const settingsHtml = fs.readFileSync(path.join(__dirname, 'settings.hbs'), 'utf-8');
+    settingsTemplate = Handlebars.compile(settingsHtml);
+  }
 
-  res.send(carouselTemplate({ ingress: req.get('x-ingress-path') || '', orders, lowReasons, highReasons }));
+  const options = getOptions();
+  const backups = (await listBackups(backupsPath)).map(b => ({ ...b, size: `${Math.ceil(b.size / 1024).toLocaleString('en-US')} KB` }));
+  res.send(settingsTemplate({
+    ...getPageContext(req),
+    reasons: getReasons(),
+    presets: getFactorPresets(),
+    rules: getRules(),
+    statuses: inventoryStatuses,
+    apiTokens: getApiTokens(),
+    apiPort: options.api_port,
+    backups,
+    backupInterval: options.backup_interval,
+    backupKeep: options.backup_keep
+  }));
 });
-app.get('/orders', async (req, res) => {
+apiRoutes.get('/orders', async (req, res) => {
+  const filter = getOrderFilterOptions(req.query);
+  if ('error' in filter) {
+    console.error(filter.error);
+    res.status(400).json({ error: filter.error });
+    return;
+  }
   try {
     /** @type {GetOrdersOptions} */
     const variables = {
-      cancelled: req.query['filter'] === 'cancelled',
-      nonAdjustedOnly: req.query['filter'] === 'adjusted',
+      accountId: getAccountScope(req),
+      ...filter.options,
       limit: safeParseInt(req.query['limit']),
       offset: safeParseInt(req.query['offset']),
-      search: safeQsString(req.query['s']),
       sort: safeQsString(req.query['sort']),
       dir: safeQsString(req.query['dir']),
     };
@@ -204,438 +555,3050 @@ app.get('/orders', async (req, res) => {
     return;
   }
 });
-app.get('/json/:year', async (req, res) => {
-  try {
-    const strYear = req.params.year;
-    const year = parseInt(strYear);
-    if (isNaN(year) || year < 2000 || year > 3000) {
-      const error = `Invalid year '${strYear}'`;
-    }
-    const orders = getOrders({
-      year,
-      byDelivered: true
-    });
-    res.set('Content-Disposition', `attachment; filename="orders-${year}.json"`);
-    res.json(orders);
-  } catch (err) {
-    const msg = typeof err === 'object' && err && 'message' in err && err.message;
-    console.error(msg);
-    res.status(500).json({ error: msg });
-    return;
-  }
-});
-app.get('/report-data/:year', async (req, res) => {
-  const strYear = req.params.year;
-  const year = parseInt(strYear);
-  if (isNaN(year) || year < 2000 || year > 3000) {
-    const error = `Invalid year '${strYear}'`;
-  }
-  const allOrdersForYear = getOrders({ year, byDelivered: true, dir: 'asc' });
-  const ordersForYear = allOrdersForYear.filter(o => (!o.cancelledAt || o.cancelledAt.getFullYear() !== year) &&
-    ((!o.deliveredAt && o.orderedAt.getFullYear() === year) || o.deliveredAt?.getFullYear() === year));
-  const cancellationsFromPriorYear = allOrdersForYear.filter(o => (o.deliveredAt ? o.deliveredAt.getFullYear() < year : o.orderedAt.getFullYear() < year) && o.cancelledAt?.getFullYear() === year);
-  const cancellationsFromPriorYearTotalEtvNegative = cancellationsFromPriorYear.reduce((sum, o) => sum - o.etv, 0);
-  const totalEtv = ordersForYear.reduce((sum, o) => sum + o.etv, 0) + cancellationsFromPriorYearTotalEtvNegative;
-  const totalAdjustedEtv = ordersForYear.reduce((sum, o) => sum + (o.etvFactor !== null ? o.etv * o.etvFactor : o.etv), 0) + cancellationsFromPriorYearTotalEtvNegative;
-  
-  /** @type {Map<string, number>} */
-  const initialCount = new Map();
-  /** @type {Map<string, number>} */
-  const initialETV = new Map();
-  res.json({
-    year,
-    totalEtv,
-    totalAdjustedEtv,
-    orderCount: ordersForYear.length,
-    monthly: getMonthlyBreakdown(ordersForYear),
-    orderCountByDate: Object.fromEntries(ordersForYear.reduce((acc, o) => {
-      const key = getDateString(o.orderedAt);
-      const count = acc.get(key) ?? 0;
-      acc.set(key, count + 1);
-      
-      return acc;
-    }, initialCount).entries()),
-    orderETVByDate: Object.fromEntries(ordersForYear.reduce((acc, o) => {
-      const key = getDateString(o.orderedAt);
-      const prev = acc.get(key) ?? 0;
-      acc.set(key, prev + o.etv);
-      
-      return acc;
-    }, initialETV).entries()),
-  });
-});
 
 /**
- * Get a date string in local time
- * @param {Date} d A date
- * @returns {string} A date string like YYYY-MM-DD
+ * Get the order list's filter options from its query string parameters: `filter`, `s`, `from`, `to`, `dateField`,
+ * `minEtv`, `maxEtv`, `reason`, `hasReason`, `hasNotes`, `delivered` and `etvFactor`
+ * @param {import('qs').ParsedQs} params
+ * @returns {{ error: string } | { options: GetOrdersOptions }}
  */
-function getDateString(d) {
-  const year = d.getFullYear();
-  const month = (d.getMonth() + 1).toString().padStart(2, '0');
-  const day = d.getDate().toString().padStart(2, '0');
-  return `${year}-${month}-${day}`;
+function getOrderFilterOptions(params) {
+  const range = parseDateRange(params);
+  if ('error' in range) return range;
+  const dateField = params['dateField'] ?? 'ordered';
+  if (dateField !== 'ordered' && dateField !== 'delivered') {
+    return { error: `Invalid dateField '${dateField}'. Must be one of: ordered, delivered` };
+  }
+  const minEtv = parseNumberParam(params, 'minEtv');
+  if ('error' in minEtv) return minEtv;
+  const maxEtv = parseNumberParam(params, 'maxEtv');
+  if ('error' in maxEtv) return maxEtv;
+  if (minEtv.value !== undefined && maxEtv.value !== undefined && minEtv.value > maxEtv.value) {
+    return { error: 'Invalid ETV range. minEtv must not be more than maxEtv' };
+  }
+  const hasReason = parseBooleanParam(params, 'hasReason');
+  if ('error' in hasReason) return hasReason;
+  const hasNotes = parseBooleanParam(params, 'hasNotes');
+  if ('error' in hasNotes) return hasNotes;
+  const delivered = parseBooleanParam(params, 'delivered');
+  if ('error' in delivered) return delivered;
+  /** @type {number | null | undefined} */
+  let etvFactor;
+  if (params['etvFactor'] === 'none') {
+    etvFactor = null;
+  } else {
+    const factor = parseNumberParam(params, 'etvFactor');
+    if ('error' in factor) return { error: `${factor.error}, or 'none'` };
+    etvFactor = factor.value;
+  }
+  return {
+    options: {
+      cancelled: params['filter'] === 'cancelled',
+      nonAdjustedOnly: params['filter'] === 'adjusted',
+      search: safeQsString(params['s']),
+      from: range.from,
+      to: range.to,
+      byDelivered: dateField === 'delivered',
+      minEtv: minEtv.value,
+      maxEtv: maxEtv.value,
+      reason: safeQsString(params['reason']),
+      hasReason: hasReason.value,
+      hasNotes: hasNotes.value,
+      delivered: delivered.value,
+      etvFactor
+    }
+  };
 }
 
 /**
- * @typedef {object} MonthlyBreakdown
- * @prop {number} month
- * @prop {number} orderCount
- * @prop {number} totalEtv
- * @prop {number} totalAdjustedEtv
- */
-/**
- * Get the list of orders grouped by month
- * @param {Order[]} orders Orders for the year
- * @returns {MonthlyBreakdown[]}
+ * Whether filter options narrow down which orders match, rather than matching every uncancelled order
+ * @param {GetOrdersOptions} options From getOrderFilterOptions
+ * @returns {boolean}
  */
-function getMonthlyBreakdown(orders) {
-  const monthly = [];
-  for (let month = 0; month < 12; month++) {
-    const ordersForMonth = orders.filter(o => o.orderedAt.getMonth() === month);
-    const totalEtv = ordersForMonth.reduce((sum, o) => sum + o.etv, 0);
-    const totalAdjustedEtv = ordersForMonth.reduce((sum, o) => sum + (o.etvFactor !== null ? o.etv * o.etvFactor : o.etv), 0);
-    monthly.push({
-      month: month + 1,
-      orderCount: ordersForMonth.length,
-      totalEtv,
-      totalAdjustedEtv
-    });
-  }
-  return monthly;
+function hasFilterCriteria(options) {
+  return options.cancelled === true ||
+    !!options.nonAdjustedOnly ||
+    !!options.search ||
+    !!options.from ||
+    !!options.to ||
+    options.minEtv !== undefined ||
+    options.maxEtv !== undefined ||
+    options.reason !== undefined ||
+    options.hasReason !== undefined ||
+    options.hasNotes !== undefined ||
+    options.delivered !== undefined ||
+    options.etvFactor !== undefined;
 }
 
-app.post('/orders/:number/etv', express.json(), async (req, res) => {
-  const number = req.params.number;
-  const { etvFactor } = req.body;
-  if (etvFactor !== null && (typeof etvFactor !== 'number' || etvFactor < 0)) {
-    const error = 'Invalid etvFactor. Must be a number greater than or equal to 0, or null';
+apiRoutes.post('/orders/bulk', express.json(), async (req, res) => {
+  const { numbers, all, etvFactor, reason, notes } = req.body ?? {};
+  // Every order is the same as a filter without criteria
+  const filter = req.body?.filter ?? (all === true ? {} : undefined);
+  if ((numbers === undefined) === (filter === undefined)) {
+    const error = 'Must specify either numbers, or filter and/or all';
     console.error(error);
     res.status(400).json({ error });
     return;
   }
-  try {
-    setETVFactorForOrder(number, etvFactor);
-    res.json({ success: true });
-  } catch (err) {
-    const msg = typeof err === 'object' && err && 'message' in err && err.message;
-    console.error(msg);
-    res.status(500).json({ error: msg });
+  if (numbers !== undefined && (!Array.isArray(numbers) || !numbers.length || numbers.some(n => typeof n !== 'string'))) {
+    const error = 'Invalid numbers. Must be a non-empty array of order numbers';
+    console.error(error);
+    res.status(400).json({ error });
     return;
   }
-});
-
-app.post('/orders/:number/etv-reason', express.json(), async (req, res) => {
-  const number = req.params.number;
-  const { reason } = req.body;
-  if (typeof reason !== 'string' || reason.length > 255) {
-    const error = 'Invalid reason. Must be a string up to 255 characters';
+  if (filter !== undefined && (typeof filter !== 'object' || filter === null || Array.isArray(filter))) {
+    const error = 'Invalid filter. Must be an object with the same parameters as GET /orders';
     console.error(error);
     res.status(400).json({ error });
     return;
   }
-  try {
-    setETVReasonForOrder(number, reason);
-    res.json({ success: true });
-  } catch (err) {
-    const msg = typeof err === 'object' && err && 'message' in err && err.message;
-    console.error(msg);
-    res.status(500).json({ error: msg });
+  const filterOptions = filter === undefined ? undefined : getOrderFilterOptions(filter);
+  if (filterOptions && 'error' in filterOptions) {
+    console.error(filterOptions.error);
+    res.status(400).json({ error: filterOptions.error });
     return;
   }
-});
-
-app.post('/orders/:number/notes', express.json(), async (req, res) => {
-  const number = req.params.number;
-  const { notes } = req.body;
-  if (typeof notes !== 'string' || notes.length > 2000) {
-    const error = 'Invalid notes. Must be a string up to 2000 characters';
+  if (all !== undefined && all !== true) {
+    const error = 'Invalid all. Must be true';
     console.error(error);
     res.status(400).json({ error });
     return;
   }
-  try {
-    setNotesForOrder(number, notes);
-    res.json({ success: true });
-  } catch (err) {
-    const msg = typeof err === 'object' && err && 'message' in err && err.message;
-    console.error(msg);
-    res.status(500).json({ error: msg });
+  if (filterOptions && !hasFilterCriteria(filterOptions.options) && all !== true) {
+    const error = 'Filter matches every order. Add a filter, or set all to true to edit every order';
+    console.error(error);
+    res.status(400).json({ error });
     return;
   }
-});
-
-app.post('/upload', fileUpload(), async (req, res) => {
-  if (!req.files || !req.files.file) {
-    const error = 'Missing file upload';
+  if (etvFactor === undefined && reason === undefined && notes === undefined) {
+    const error = 'Nothing to change. Must specify etvFactor, reason and/or notes';
     console.error(error);
     res.status(400).json({ error });
     return;
   }
-  if (Array.isArray(req.files.file)) {
-    const error = 'Multiple files uploaded. Please upload only one file at a time.';
+  if (etvFactor !== undefined && etvFactor !== null && (typeof etvFactor !== 'number' || etvFactor < 0)) {
+    const error = 'Invalid etvFactor. Must be a number greater than or equal to 0, or null';
     console.error(error);
     res.status(400).json({ error });
     return;
   }
-  if (req.files.file.mimetype !== 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
-    const error = `Invalid file type '${req.files.file.mimetype}'. Please upload an Excel .xlsx file.`;
+  if (reason !== undefined && (typeof reason !== 'string' || reason.length > 255)) {
+    const error = 'Invalid reason. Must be a string up to 255 characters';
     console.error(error);
     res.status(400).json({ error });
     return;
   }
-  const lines = await xlsxParse(req.files.file.data);
-  let inserted = 0;
-  let failed = 0;
-  /** @type {Map<string, Date>} */
-  const cancellations = new Map();
-  for (const line of lines) {
-    if (!line) return;
-    const { number, asin, product, type, orderedAtStr, deliveredAtStr, cancelledDateStr, etvStr, etvFactor } = line;
-    if (type === 'CANCELLATION' && cancelledDateStr) {
-      cancellations.set(number, new Date(cancelledDateStr));
-      continue;
-    }
-    maybeInsertOrder({
-      number,
-      asin,
-      product,
-      orderedAt: new Date(orderedAtStr),
-      deliveredAt: deliveredAtStr ? new Date(deliveredAtStr) : undefined,
-      etv: parseFloat(etvStr) || 0,
-      etvFactor: etvFactor ?? null
-    });
-    inserted++;
+  if (notes !== undefined && (typeof notes !== 'string' || notes.length > 2000)) {
+    const error = 'Invalid notes. Must be a string up to 2000 characters';
+    console.error(error);
+    res.status(400).json({ error });
+    return;
   }
 
-  // Handle cancellations
-  for (const [number, cancelledAt] of cancellations) {
-    const stmt = db.prepare(`UPDATE orders SET cancelledAt = :cancelledAt WHERE number = :number`);
-    stmt.run({
-      cancelledAt: cancelledAt.toISOString(),
-      number
+  const scope = getAccountScope(req);
+  /** @type {{ accountId: number, number: string }[]} */
+  const targets = [];
+  /** @type {string[]} */
+  const notFound = [];
+  if (numbers) {
+    for (const number of new Set(/** @type {string[]} */ (numbers))) {
+      const accountIds = getAccountIdsForOrder(number).filter(id => scope === undefined || id === scope);
+      if (accountIds.length > 1) {
+        const error = `Order '${number}' exists in more than one account. Please choose an account.`;
+        console.error(error);
+        res.status(409).json({ error });
+        return;
+      }
+      if (accountIds.length) {
+        targets.push({ accountId: accountIds[0], number });
+      } else {
+        notFound.push(number);
+      }
+    }
+  }
+  try {
+    if (filterOptions) {
+      for (const order of getOrders({ accountId: scope, ...filterOptions.options })) {
+        targets.push({ accountId: order.accountId, number: order.number });
+      }
+    }
+    runInTransaction(db, () => {
+      for (const { accountId, number } of targets) {
+        if (etvFactor !== undefined) setETVFactorForOrder(accountId, number, etvFactor);
+        if (reason !== undefined) setETVReasonForOrder(accountId, number, reason);
+        if (notes !== undefined) setNotesForOrder(accountId, number, notes);
+      }
     });
+    res.json({ updated: targets.length, notFound });
+    publishSensors();
+  } catch (err) {
+    const msg = typeof err === 'object' && err && 'message' in err && err.message;
+    console.error(msg);
+    res.status(500).json({ error: msg });
+    return;
   }
-
-  console.log(`Upload complete. Inserted: ${inserted}, Failed: ${failed}, Cancellations: ${cancellations.size}`);
-  res.json({ inserted, failed, cancellations: cancellations.size });
 });
 
-console.log('Starting VineTracker addon...');
-app.listen(8099, () => {
-  console.log('VineTracker addon is running on port 8099');
-  console.log('Visit http://localhost:8099');
-
-  Graceful.on('exit', function () {
-    db.close();
-  });
-
-  db.open();
-  db.exec(`CREATE TABLE IF NOT EXISTS orders (
-    number TEXT PRIMARY KEY,
-    asin TEXT,
-    product TEXT,
-    orderedAt TEXT,
-    deliveredAt TEXT,
-    etv REAL,
-    etvFactor REAL,
-    cancelled INTEGER DEFAULT 0,
-    etvReason TEXT,
-    notes TEXT
-  )`);
-  // cancelled replaced with cancelledAt in DB schema v2
-
-  migrate(db);
-});
+apiRoutes.get('/json/:year', async (req, res) => {
+  try {
+    const strYear = req.params.year;
+    const year = parseYear(strYear);
+    if (year === undefined) {
+      const error = `Invalid year '${strYear}'`;
+      console.error(error);
+      res.status(400).json({ error });
+      return;
+    }
+    const orders = getOrders({
+      accountId: getAccountScope(req),
+      year,
+      byDelivered: true
+    });
+    res.set('Content-Disposition', `attachment; filename="orders-${year}.json"`);
+    res.json(orders);
+  } catch (err) {
+    const msg = typeof err === 'object' && err && 'message' in err && err.message;
+    console.error(msg);
+    res.status(500).json({ error: msg });
+    return;
+  }
+});
+apiRoutes.get('/report-data', async (req, res) => {
+  const range = parseDateRange(req.query);
+  if ('error' in range) {
+    console.error(range.error);
+    res.status(400).json({ error: range.error });
+    return;
+  }
+  if (!range.from || !range.to) {
+    const error = 'Must specify both from and to';
+    console.error(error);
+    res.status(400).json({ error });
+    return;
+  }
+  try {
+    res.json(getRangeReport(range.from, range.to, getAccountScope(req)));
+  } catch (err) {
+    const msg = typeof err === 'object' && err && 'message' in err && err.message;
+    console.error(msg);
+    res.status(500).json({ error: msg });
+    return;
+  }
+});
+apiRoutes.get('/report-data/summary', async (req, res) => {
+  try {
+    res.json(getSummaryReport(getAccountScope(req)));
+  } catch (err) {
+    const msg = typeof err === 'object' && err && 'message' in err && err.message;
+    console.error(msg);
+    res.status(500).json({ error: msg });
+    return;
+  }
+});
+apiRoutes.get('/report-data/:year', async (req, res) => {
+  const strYear = req.params.year;
+  const year = parseYear(strYear);
+  if (year === undefined) {
+    const error = `Invalid year '${strYear}'`;
+    console.error(error);
+    res.status(400).json({ error });
+    return;
+  }
+  try {
+    res.json(getYearReport(year, getAccountScope(req)));
+  } catch (err) {
+    const msg = typeof err === 'object' && err && 'message' in err && err.message;
+    console.error(msg);
+    res.status(500).json({ error: msg });
+    return;
+  }
+});
+
+/**
+ * @typedef {object} YearReport
+ * @prop {number} year
+ * @prop {number} totalEtv
+ * @prop {number} totalAdjustedEtv
+ * @prop {number} orderCount
+ * @prop {MonthlyBreakdown[]} monthly
+ * @prop {Record<string, number>} orderCountByDate
+ * @prop {Record<string, number>} orderETVByDate
+ * @prop {import('./tax-year').EstimatedTax} estimatedTax Adjusted ETV by IRS estimated tax period, with a year-end
+ *   projection and the tax owed at the configured marginal rate
+ */
+/**
+ * Compute the report for a given tax year
+ * @param {number} year The year
+ * @param {number} [accountId] Account to report on, defaults to all accounts combined
+ * @returns {YearReport}
+ */
+function getYearReport(year, accountId) {
+  const summary = summarizeTaxYear(getOrders({ accountId, year, byDelivered: true, dir: 'asc' }), year);
+  const ordersForYear = summary.orders;
+
+  return {
+    year,
+    totalEtv: summary.totalEtv,
+    totalAdjustedEtv: summary.totalAdjustedEtv,
+    orderCount: ordersForYear.length,
+    monthly: getMonthlyBreakdown(ordersForYear),
+    ...getDailyTotals(ordersForYear),
+    estimatedTax: getEstimatedTax(summary, { marginalRate: getOptions().marginal_tax_rate / 100 })
+  };
+}
+
+/**
+ * @typedef {object} SummaryReport
+ * @prop {YearSummary[]} years Every year from the first order to this one, oldest first
+ * @prop {PeriodTotals} lifetime Totals across all years
+ */
+/**
+ * @typedef {object} PeriodTotals
+ * @prop {number} orderCount Orders counted towards the period
+ * @prop {number} totalEtv
+ * @prop {number} totalAdjustedEtv
+ * @prop {number} averageEtv Average original ETV of the orders counted
+ * @prop {number} adjustedShare Fraction of the orders counted that have an adjusted ETV
+ * @prop {ReasonShare[]} reasons Orders counted by adjustment reason, most used first
+ * @prop {number} placedCount Orders placed in the period, including ones that were later cancelled
+ * @prop {number} cancelledCount Orders placed in the period that were cancelled
+ * @prop {number} cancellationRate Fraction of the orders placed in the period that were cancelled
+ */
+/**
+ * @typedef {PeriodTotals & { year: number, monthly: MonthlyBreakdown[] }} YearSummary
+ */
+/**
+ * @typedef {object} ReasonShare
+ * @prop {string | null} reason Adjustment reason, or null for orders without one
+ * @prop {number} orderCount
+ * @prop {number} share Fraction of the orders counted
+ */
+/**
+ * Compare every tax year side by side, to see whether ordering habits change from year to year. Years count
+ * orders the same way as the yearly report, by shipped date, except that cancellations are counted by the year the
+ * order was placed.
+ * @param {number} [accountId] Account to report on, defaults to all accounts combined
+ * @returns {SummaryReport}
+ */
+function getSummaryReport(accountId) {
+  const orders = getOrders({ accountId, dir: 'asc' });
+  const currentYear = new Date().getFullYear();
+  const firstYear = orders.length ? Math.min(...orders.map(o => o.orderedAt.getFullYear())) : currentYear;
+
+  /** @type {YearSummary[]} */
+  const years = [];
+  for (let year = firstYear; year <= currentYear; year++) {
+    const summary = summarizeTaxYear(orders, year);
+    years.push({
+      year,
+      ...getPeriodTotals(summary.orders, orders.filter(o => o.orderedAt.getFullYear() === year)),
+      totalEtv: summary.totalEtv,
+      totalAdjustedEtv: summary.totalAdjustedEtv,
+      monthly: getMonthlyBreakdown(summary.orders)
+    });
+  }
+  const counted = orders.filter(o => !o.cancelledAt);
+  return {
+    years,
+    lifetime: getPeriodTotals(counted, orders)
+  };
+}
+
+/**
+ * Total up a period's orders
+ * @param {Order[]} counted Orders that count towards the period
+ * @param {Order[]} placed Orders placed in the period, including cancelled ones
+ * @returns {PeriodTotals}
+ */
+function getPeriodTotals(counted, placed) {
+  const totalEtv = counted.reduce((sum, o) => sum + o.etv, 0);
+  /** @type {Map<string | null, number>} */
+  const reasonCounts = new Map();
+  for (const o of counted) {
+    const reason = o.etvReason || null;
+    reasonCounts.set(reason, (reasonCounts.get(reason) ?? 0) + 1);
+  }
+  const cancelledCount = placed.filter(o => o.cancelledAt).length;
+  return {
+    orderCount: counted.length,
+    totalEtv,
+    totalAdjustedEtv: counted.reduce((sum, o) => sum + getAdjustedEtv(o), 0),
+    averageEtv: counted.length ? totalEtv / counted.length : 0,
+    adjustedShare: counted.length ? counted.filter(o => o.etvFactor !== null).length / counted.length : 0,
+    reasons: Array.from(reasonCounts, ([reason, orderCount]) => ({ reason, orderCount, share: orderCount / counted.length }))
+      .sort((a, b) => b.orderCount - a.orderCount),
+    placedCount: placed.length,
+    cancelledCount,
+    cancellationRate: placed.length ? cancelledCount / placed.length : 0
+  };
+}
+
+/**
+ * @typedef {object} RangeReport
+ * @prop {string} from First day of the range, as YYYY-MM-DD
+ * @prop {string} to Last day of the range, as YYYY-MM-DD
+ * @prop {number} totalEtv
+ * @prop {number} totalAdjustedEtv
+ * @prop {number} orderCount
+ * @prop {RangeMonthlyBreakdown[]} monthly
+ * @prop {Record<string, number>} orderCountByDate
+ * @prop {Record<string, number>} orderETVByDate
+ */
+/**
+ * @typedef {Omit<MonthlyBreakdown, 'month'> & { month: string }} RangeMonthlyBreakdown Totals for a month, which
+ *   is given as YYYY-MM since a range can span years
+ */
+/**
+ * Compute the report for any range of days. Orders count the same way as for a tax year, by shipped date.
+ * @param {Date} from First day of the range
+ * @param {Date} to Last day of the range
+ * @param {number} [accountId] Account to report on, defaults to all accounts combined
+ * @returns {RangeReport}
+ */
+function getRangeReport(from, to, accountId) {
+  const end = new Date(to.getFullYear(), to.getMonth(), to.getDate() + 1);
+  const summary = summarizePeriod(getOrders({ accountId, from, to, byDelivered: true, dir: 'asc' }), from, end);
+  const orders = summary.orders;
+
+  /** @type {RangeMonthlyBreakdown[]} */
+  const monthly = [];
+  for (let d = new Date(from.getFullYear(), from.getMonth(), 1); d < end; d.setMonth(d.getMonth() + 1)) {
+    const ordersForMonth = orders.filter(o => o.orderedAt.getFullYear() === d.getFullYear() && o.orderedAt.getMonth() === d.getMonth());
+    monthly.push({
+      month: getDateString(d).slice(0, 7),
+      orderCount: ordersForMonth.length,
+      totalEtv: ordersForMonth.reduce((sum, o) => sum + o.etv, 0),
+      totalAdjustedEtv: ordersForMonth.reduce((sum, o) => sum + getAdjustedEtv(o), 0)
+    });
+  }
+  return {
+    from: getDateString(from),
+    to: getDateString(to),
+    totalEtv: summary.totalEtv,
+    totalAdjustedEtv: summary.totalAdjustedEtv,
+    orderCount: orders.length,
+    monthly,
+    ...getDailyTotals(orders)
+  };
+}
+
+/**
+ * Count orders and add up their ETV for each day they were ordered on
+ * @param {Order[]} orders
+ * @returns {{ orderCountByDate: Record<string, number>, orderETVByDate: Record<string, number> }}
+ */
+function getDailyTotals(orders) {
+  /** @type {Record<string, number>} */
+  const orderCountByDate = {};
+  /** @type {Record<string, number>} */
+  const orderETVByDate = {};
+  for (const o of orders) {
+    const key = getDateString(o.orderedAt);
+    orderCountByDate[key] = (orderCountByDate[key] ?? 0) + 1;
+    orderETVByDate[key] = (orderETVByDate[key] ?? 0) + o.etv;
+  }
+  return { orderCountByDate, orderETVByDate };
+}
+
+/**
+ * @typedef {object} TaxReport
+ * @prop {number} year
+ * @prop {TaxReportGroups} orders Orders in the report, by group
+ * @prop {number} badTotalAdjustment Total ETV adjustment for damaged, defective, disposed or undelivered orders
+ * @prop {number} otherTotalAdjustment Total ETV adjustment for all other orders
+ */
+/**
+ * @typedef {Order & { comps: OrderComp[] }} TaxReportOrder An order with the comparable prices that back up its
+ *   adjusted ETV
+ */
+/**
+ * @typedef {object} TaxReportGroups
+ * @prop {TaxReportOrder[]} bad Damaged, defective, disposed or undelivered orders
+ * @prop {TaxReportOrder[]} adjusted All other orders
+ * @prop {Order[]} cancelPrior Orders from a prior year that were cancelled in this year
+ */
+/**
+ * Compute the tax report for a given year. The on-screen report, the print view and the CSV are all
+ * rendered from this, so they always agree.
+ * @param {number} year The year
+ * @param {number} [accountId] Account to report on, defaults to all accounts combined
+ * @returns {TaxReport}
+ */
+function getTaxReport(year, accountId) {
+  const reasons = new Map(getReasons().map(r => [r.name, r]));
+  const presets = new Map(getFactorPresets().map(p => [p.factor, p]));
+  const { bad, adjusted, cancelPrior, badTotalAdjustment, otherTotalAdjustment } = summarizeTaxYear(
+    getOrders({ accountId, year, byDelivered: true, dir: 'asc' }),
+    year,
+    { badReasons: [...reasons.values()].filter(r => r.reportGroup === 'bad').map(r => r.name) }
+  );
+
+  const comps = getCompsByOrder(accountId);
+
+  /**
+   * Show the reason the way the tax report should describe it, with the comparable prices backing it up
+   * @param {Order} o
+   * @returns {TaxReportOrder}
+   */
+  const forReport = o => ({
+    ...o,
+    etvReason: o.etvReason
+      ? reasons.get(o.etvReason)?.reportLabel ?? o.etvReason
+      : (o.etvFactor !== null ? presets.get(o.etvFactor)?.reportLabel : null) ?? undefined,
+    comps: comps.get(`${o.accountId}:${o.number}`) ?? []
+  });
+  return {
+    year,
+    orders: { bad: bad.map(forReport), adjusted: adjusted.map(forReport), cancelPrior },
+    badTotalAdjustment,
+    otherTotalAdjustment
+  };
+}
+
+/**
+ * Render a tax report as CSV, one row per order followed by the summary lines
+ * @param {TaxReport} report
+ * @returns {string}
+ */
+function toTaxReportCsv(report) {
+  /** @type {(string | number)[][]} */
+  const rows = [[
+    'Group', 'Order number', 'Order date', 'Shipped date', 'Cancelled date', 'ASIN', 'Product',
+    'Original ETV', 'Adjusted ETV', 'Reason', 'Comparable prices'
+  ]];
+  /**
+   * @param {string} group
+   * @param {(Order & { comps?: OrderComp[] })[]} orders
+   * @param {(o: Order) => number} adjustedEtv
+   */
+  const addGroup = (group, orders, adjustedEtv) => {
+    for (const o of orders) {
+      rows.push([
+        group,
+        o.number,
+        o.orderedAt ? getDateString(o.orderedAt) : '',
+        o.deliveredAt ? getDateString(o.deliveredAt) : '',
+        o.cancelledAt ? getDateString(o.cancelledAt) : '',
+        o.asin,
+        o.product,
+        o.etv.toFixed(2),
+        adjustedEtv(o).toFixed(2),
+        o.etvReason ?? '',
+        (o.comps ?? []).map(c => `${formatComp(c)} (${getDateString(c.checkedAt)})${c.url ? ` ${c.url}` : ''}`).join('; ')
+      ]);
+    }
+  };
+  // Prior-year cancellations reduce this year's ETV by the whole original amount
+  addGroup("Cancellations from prior year's orders", report.orders.cancelPrior, o => -o.etv);
+  addGroup('Damaged/defective/disposed orders', report.orders.bad, getAdjustedEtv);
+  addGroup('Other orders', report.orders.adjusted, getAdjustedEtv);
+  rows.push(
+    [],
+    ['Damaged/defective/disposed adjustment', (-report.badTotalAdjustment).toFixed(2)],
+    ['Other adjustment', (-report.otherTotalAdjustment).toFixed(2)]
+  );
+  return XLSX.utils.sheet_to_csv(XLSX.utils.aoa_to_sheet(rows));
+}
+
+/**
+ * Publish the current year's totals as Home Assistant sensors, combined across all accounts and, when there is
+ * more than one account, for each account. Never throws, since sensor updates are best-effort and must not fail
+ * the request that triggered them.
+ */
+async function publishSensors() {
+  if (!homeAssistant.isAvailable()) return;
+  try {
+    const accounts = getAccounts();
+    const sensors = getSensorStates();
+    if (accounts.length > 1) {
+      for (const account of accounts) {
+        sensors.push(...getSensorStates(account));
+      }
+    }
+    await homeAssistant.setStates(sensors);
+    await updateUnadjustedAlert(false);
+  } catch (err) {
+    console.error('Failed to publish Home Assistant sensors:', err);
+  }
+}
+
+const UNADJUSTED_NOTIFICATION_ID = 'vinetracker_unadjusted_orders';
+// Start out assuming the notification is showing, so one left over from before a restart is dismissed if the orders
+// were worked through since
+let unadjustedAlertShown = true;
+
+/**
+ * Show a notification in Home Assistant while more orders than the configured count need an adjusted ETV, and
+ * dismiss it once they've been worked through. Only imports raise it, so dismissing it in Home Assistant isn't undone
+ * by the next edit.
+ * @param {boolean} raise Whether to show the notification, or update it if it's showing, when there are too many
+ */
+async function updateUnadjustedAlert(raise) {
+  const limit = getOptions().unadjusted_alert_count;
+  if (!limit) return;
+  const count = getOrders({ nonAdjustedOnly: true, cancelled: false, countOnly: true });
+  if (count > limit && raise) {
+    await homeAssistant.createNotification({
+      id: UNADJUSTED_NOTIFICATION_ID,
+      title: 'Vine orders to value',
+      message: `${count} Vine orders don't have an adjusted ETV yet. Open Vine in the sidebar to work through them in the carousel.`
+    });
+    unadjustedAlertShown = true;
+  } else if (count <= limit && unadjustedAlertShown) {
+    await homeAssistant.dismissNotification(UNADJUSTED_NOTIFICATION_ID);
+    unadjustedAlertShown = false;
+  }
+}
+
+/**
+ * Get an account's ETV for the current year, to tell whether an import takes it past the ETV threshold
+ * @param {number} accountId
+ * @returns {number}
+ */
+function getCurrentYearEtv(accountId) {
+  return getYearReport(new Date().getFullYear(), accountId).totalEtv;
+}
+
+/**
+ * Tell Home Assistant about a finished import: fire vinetracker_import_complete with the counts, fire
+ * vinetracker_etv_threshold_crossed if it took the account's ETV for the year past the configured threshold, and
+ * raise the unadjusted order notification if they've piled up. Never throws, like publishSensors.
+ * @param {number} accountId Account the orders were imported into
+ * @param {ImportResult} result
+ * @param {number} etvBefore The account's ETV for the year before the import, from getCurrentYearEtv
+ * @param {'upload' | 'inbox'} source Where the file came from
+ */
+async function announceImport(accountId, result, etvBefore, source) {
+  if (!homeAssistant.isAvailable()) return;
+  try {
+    const accountName = getAccount(accountId)?.name;
+    await homeAssistant.fireEvent('vinetracker_import_complete', {
+      account_id: accountId,
+      account: accountName,
+      source,
+      inserted: result.inserted,
+      updated: result.updated,
+      unchanged: result.unchanged,
+      cancelled: result.cancellations,
+      adjusted_by_rules: result.ruleAdjusted,
+      flagged: result.flagged,
+      rejected: result.failed,
+      unadjusted_count: getOrders({ accountId, nonAdjustedOnly: true, cancelled: false, countOnly: true })
+    });
+
+    const threshold = getOptions().etv_threshold;
+    if (threshold) {
+      const report = getYearReport(new Date().getFullYear(), accountId);
+      if (etvBefore < threshold && report.totalEtv >= threshold) {
+        await homeAssistant.fireEvent('vinetracker_etv_threshold_crossed', {
+          account_id: accountId,
+          account: accountName,
+          year: report.year,
+          threshold,
+          total_etv: Number(report.totalEtv.toFixed(2)),
+          total_adjusted_etv: Number(report.totalAdjustedEtv.toFixed(2))
+        });
+      }
+    }
+
+    await updateUnadjustedAlert(true);
+  } catch (err) {
+    console.error('Failed to tell Home Assistant about the import:', err);
+  }
+}
+
+/**
+ * Get the current year's totals and projections as Home Assistant sensor states
+ * @param {Account} [account] Account to report on, defaults to all accounts combined
+ * @returns {import('./homeassistant').SensorState[]}
+ */
+function getSensorStates(account) {
+  const now = new Date();
+  const report = getYearReport(now.getFullYear(), account?.id);
+  const { estimatedTax } = report;
+  const currentPeriod = estimatedTax.periods.find(p => p.quarter === estimatedTax.currentQuarter);
+  const unadjustedCount = getOrders({ accountId: account?.id, nonAdjustedOnly: true, cancelled: false, countOnly: true });
+  const suffix = account ? `_${account.name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '')}` : '';
+  const nameSuffix = account ? ` (${account.name})` : '';
+  const attributes = {
+    unit_of_measurement: 'USD',
+    device_class: 'monetary',
+    state_class: 'total',
+    year: report.year
+  };
+  return [{
+    entityId: `sensor.vine_ytd_etv${suffix}`,
+    state: report.totalEtv.toFixed(2),
+    attributes: { ...attributes, friendly_name: `Vine YTD ETV${nameSuffix}`, icon: 'mdi:cash' }
+  }, {
+    entityId: `sensor.vine_ytd_adjusted_etv${suffix}`,
+    state: report.totalAdjustedEtv.toFixed(2),
+    attributes: { ...attributes, friendly_name: `Vine YTD adjusted ETV${nameSuffix}`, icon: 'mdi:cash-check' }
+  }, {
+    entityId: `sensor.vine_unadjusted_order_count${suffix}`,
+    state: unadjustedCount,
+    attributes: { friendly_name: `Vine unadjusted orders${nameSuffix}`, icon: 'mdi:package-variant', state_class: 'measurement' }
+  }, {
+    entityId: `sensor.vine_orders_this_month${suffix}`,
+    state: report.monthly[now.getMonth()].orderCount,
+    attributes: { friendly_name: `Vine orders this month${nameSuffix}`, icon: 'mdi:package-variant-closed', state_class: 'measurement', year: report.year, month: now.getMonth() + 1 }
+  }, {
+    entityId: `sensor.vine_projected_adjusted_etv${suffix}`,
+    // Home Assistant's own state for a sensor without a value
+    state: estimatedTax.projectedAdjustedEtv?.toFixed(2) ?? 'unknown',
+    attributes: { ...attributes, state_class: 'measurement', friendly_name: `Vine projected adjusted ETV${nameSuffix}`, icon: 'mdi:chart-line' }
+  }, ...(estimatedTax.marginalRate ? [{
+    entityId: `sensor.vine_estimated_tax_this_quarter${suffix}`,
+    state: (currentPeriod?.estimatedTax ?? 0).toFixed(2),
+    attributes: {
+      ...attributes,
+      state_class: 'measurement',
+      friendly_name: `Vine estimated tax this quarter${nameSuffix}`,
+      icon: 'mdi:calendar-clock',
+      quarter: currentPeriod?.quarter,
+      period_start: currentPeriod?.start,
+      period_end: currentPeriod?.end,
+      due: currentPeriod?.due,
+      adjusted_etv: currentPeriod?.adjustedEtv.toFixed(2)
+    }
+  }, {
+    entityId: `sensor.vine_projected_tax${suffix}`,
+    state: estimatedTax.projectedTax?.toFixed(2) ?? 'unknown',
+    attributes: {
+      ...attributes,
+      state_class: 'measurement',
+      friendly_name: `Vine projected tax${nameSuffix}`,
+      icon: 'mdi:cash-clock',
+      marginal_rate: estimatedTax.marginalRate,
+      estimated_tax_ytd: estimatedTax.estimatedTax.toFixed(2)
+    }
+  }] : [])];
+}
+
+/**
+ * Parse a date string as the start of that day in local time
+ * @param {string} value A date string like YYYY-MM-DD
+ * @returns {Date | undefined} The date, or undefined if it isn't a real date
+ */
+function parseDateString(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) return undefined;
+  const d = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  // Out of range parts roll over, e.g. 2025-02-30 becomes March 2, so make sure the date is the one given
+  return getDateString(d) === value ? d : undefined;
+}
+
+/**
+ * @typedef {object} MonthlyBreakdown
+ * @prop {number} month
+ * @prop {number} orderCount
+ * @prop {number} totalEtv
+ * @prop {number} totalAdjustedEtv
+ */
+/**
+ * Get the list of orders grouped by month
+ * @param {Order[]} orders Orders for the year
+ * @returns {MonthlyBreakdown[]}
+ */
+function getMonthlyBreakdown(orders) {
+  const monthly = [];
+  for (let month = 0; month < 12; month++) {
+    const ordersForMonth = orders.filter(o => o.orderedAt.getMonth() === month);
+    const totalEtv = ordersForMonth.reduce((sum, o) => sum + o.etv, 0);
+    const totalAdjustedEtv = ordersForMonth.reduce((sum, o) => sum + getAdjustedEtv(o), 0);
+    monthly.push({
+      month: month + 1,
+      orderCount: ordersForMonth.length,
+      totalEtv,
+      totalAdjustedEtv
+    });
+  }
+  return monthly;
+}
+
+apiRoutes.get('/orders/:number', async (req, res) => {
+  const number = req.params.number;
+  try {
+    const accountId = findOrderAccount(req, res, number);
+    if (accountId === undefined) return;
+    const comps = getCompsForOrder(accountId, number);
+    res.json({
+      ...getOrder(accountId, number),
+      photos: getPhotosForOrder(accountId, number),
+      comps,
+      fairMarketValue: getMedianPrice(comps),
+      statusChanges: getStatusChanges(accountId, number)
+    });
+  } catch (err) {
+    const msg = typeof err === 'object' && err && 'message' in err && err.message;
+    console.error(msg);
+    res.status(500).json({ error: msg });
+    return;
+  }
+});
+
+apiRoutes.get('/orders/:number/history', async (req, res) => {
+  const number = req.params.number;
+  try {
+    const accountId = findOrderAccount(req, res, number);
+    if (accountId === undefined) return;
+    res.json({ history: getOrderHistory(accountId, number) });
+  } catch (err) {
+    const msg = typeof err === 'object' && err && 'message' in err && err.message;
+    console.error(msg);
+    res.status(500).json({ error: msg });
+    return;
+  }
+});
+
+apiRoutes.post('/orders/:number/etv', express.json(), async (req, res) => {
+  const number = req.params.number;
+  const { etvFactor } = req.body;
+  if (etvFactor !== null && (typeof etvFactor !== 'number' || etvFactor < 0)) {
+    const error = 'Invalid etvFactor. Must be a number greater than or equal to 0, or null';
+    console.error(error);
+    res.status(400).json({ error });
+    return;
+  }
+  try {
+    const accountId = findOrderAccount(req, res, number);
+    if (accountId === undefined) return;
+    setETVFactorForOrder(accountId, number, etvFactor);
+    res.json({ success: true });
+    publishSensors();
+  } catch (err) {
+    const msg = typeof err === 'object' && err && 'message' in err && err.message;
+    console.error(msg);
+    res.status(500).json({ error: msg });
+    return;
+  }
+});
+
+apiRoutes.post('/orders/:number/etv-reason', express.json(), async (req, res) => {
+  const number = req.params.number;
+  const { reason } = req.body;
+  if (typeof reason !== 'string' || reason.length > 255) {
+    const error = 'Invalid reason. Must be a string up to 255 characters';
+    console.error(error);
+    res.status(400).json({ error });
+    return;
+  }
+  try {
+    const accountId = findOrderAccount(req, res, number);
+    if (accountId === undefined) return;
+    setETVReasonForOrder(accountId, number, reason);
+    res.json({ success: true });
+    publishSensors();
+  } catch (err) {
+    const msg = typeof err === 'object' && err && 'message' in err && err.message;
+    console.error(msg);
+    res.status(500).json({ error: msg });
+    return;
+  }
+});
+
+apiRoutes.post('/orders/:number/notes', express.json(), async (req, res) => {
+  const number = req.params.number;
+  const { notes } = req.body;
+  if (typeof notes !== 'string' || notes.length > 2000) {
+    const error = 'Invalid notes. Must be a string up to 2000 characters';
+    console.error(error);
+    res.status(400).json({ error });
+    return;
+  }
+  try {
+    const accountId = findOrderAccount(req, res, number);
+    if (accountId === undefined) return;
+    setNotesForOrder(accountId, number, notes);
+    res.json({ success: true });
+    publishSensors();
+  } catch (err) {
+    const msg = typeof err === 'object' && err && 'message' in err && err.message;
+    console.error(msg);
+    res.status(500).json({ error: msg });
+    return;
+  }
+});
+
+apiRoutes.post('/orders/:number/status', express.json(), async (req, res) => {
+  const number = req.params.number;
+  const { status, date } = req.body ?? {};
+  if (!isInventoryStatus(status)) {
+    const error = `Invalid status. Must be one of: ${inventoryStatuses.map(s => s.id).join(', ')}`;
+    console.error(error);
+    res.status(400).json({ error });
+    return;
+  }
+  const changedAt = date === undefined ? new Date() : (typeof date === 'string' ? parseDateString(date) : undefined);
+  if (!changedAt) {
+    const error = 'Invalid date. Must be a date like YYYY-MM-DD';
+    console.error(error);
+    res.status(400).json({ error });
+    return;
+  }
+  if (changedAt > new Date()) {
+    const error = 'Invalid date. Must not be in the future';
+    console.error(error);
+    res.status(400).json({ error });
+    return;
+  }
+  try {
+    const accountId = findOrderAccount(req, res, number);
+    if (accountId === undefined) return;
+    setOrderStatus(accountId, number, status, changedAt);
+    res.json({ success: true });
+  } catch (err) {
+    const msg = typeof err === 'object' && err && 'message' in err && err.message;
+    console.error(msg);
+    res.status(500).json({ error: msg });
+    return;
+  }
+});
+
+apiRoutes.post('/orders/:number/snooze', express.json(), async (req, res) => {
+  const number = req.params.number;
+  const { until } = req.body ?? {};
+  const untilDate = until === null ? null : (typeof until === 'string' ? parseDateString(until) : undefined);
+  if (untilDate === undefined) {
+    const error = 'Invalid until. Must be a date like YYYY-MM-DD, or null to unsnooze';
+    console.error(error);
+    res.status(400).json({ error });
+    return;
+  }
+  if (untilDate && untilDate <= new Date()) {
+    const error = 'Invalid until. Must be in the future';
+    console.error(error);
+    res.status(400).json({ error });
+    return;
+  }
+  try {
+    const accountId = findOrderAccount(req, res, number);
+    if (accountId === undefined) return;
+    snoozeOrder(accountId, number, untilDate);
+    res.json({ success: true });
+  } catch (err) {
+    const msg = typeof err === 'object' && err && 'message' in err && err.message;
+    console.error(msg);
+    res.status(500).json({ error: msg });
+    return;
+  }
+});
+
+apiRoutes.post('/orders/:number/location', express.json(), async (req, res) => {
+  const number = req.params.number;
+  const { location } = req.body ?? {};
+  if (typeof location !== 'string' || location.length > 255) {
+    const error = 'Invalid location. Must be a string up to 255 characters';
+    console.error(error);
+    res.status(400).json({ error });
+    return;
+  }
+  try {
+    const accountId = findOrderAccount(req, res, number);
+    if (accountId === undefined) return;
+    setLocationForOrder(accountId, number, location.trim());
+    res.json({ success: true });
+  } catch (err) {
+    const msg = typeof err === 'object' && err && 'message' in err && err.message;
+    console.error(msg);
+    res.status(500).json({ error: msg });
+    return;
+  }
+});
+
+app.post('/orders/:number/photos', fileUpload({ limits: { fileSize: 20 * 1024 * 1024 } }), async (req, res) => {
+  const number = req.params.number;
+  const accountId = findOrderAccount(req, res, number);
+  if (accountId === undefined) return;
+  if (!req.files || !req.files.photo) {
+    const error = 'Missing photo upload';
+    console.error(error);
+    res.status(400).json({ error });
+    return;
+  }
+  if (!isSafePhotoDir(number)) {
+    const error = `Invalid order number '${number}' for attaching photos`;
+    console.error(error);
+    res.status(400).json({ error });
+    return;
+  }
+  const files = Array.isArray(req.files.photo) ? req.files.photo : [req.files.photo];
+  const invalid = files.find(f => !isImage(f.mimetype) && f.mimetype !== 'application/pdf');
+  if (invalid) {
+    const error = `Invalid file type '${invalid.mimetype}'. Please upload a JPEG, PNG, GIF or WebP image, or a PDF.`;
+    console.error(error);
+    res.status(400).json({ error });
+    return;
+  }
+  try {
+    const photos = files.map(f => addPhotoToOrder(accountId, number, f));
+    res.json({ photos });
+  } catch (err) {
+    const msg = typeof err === 'object' && err && 'message' in err && err.message;
+    console.error(msg);
+    res.status(500).json({ error: msg });
+    return;
+  }
+});
+
+app.get('/orders/:number/photos/:id', async (req, res) => {
+  const accountId = findOrderAccount(req, res, req.params.number);
+  if (accountId === undefined) return;
+  const photo = getPhoto(accountId, req.params.number, safeParseInt(req.params.id));
+  if (!photo) {
+    const error = 'Photo not found';
+    console.error(error);
+    res.status(404).json({ error });
+    return;
+  }
+  res.set('X-Content-Type-Options', 'nosniff');
+  if (isImage(photo.mimetype)) {
+    res.type(photo.mimetype);
+  } else {
+    // PDFs, and anything uploaded before only these types were accepted, are downloaded rather than opened
+    res.attachment(photo.originalName ?? photo.filename);
+    res.type(photo.mimetype === 'application/pdf' ? photo.mimetype : 'application/octet-stream');
+  }
+  /** @type {string} */
+  let filePath;
+  try {
+    filePath = getPhotoPath(photo);
+  } catch (err) {
+    const msg = typeof err === 'object' && err && 'message' in err && err.message;
+    console.error(msg);
+    res.status(500).json({ error: msg });
+    return;
+  }
+  // sendFile reports errors to its callback rather than throwing
+  res.sendFile(filePath, err => {
+    if (!err) return;
+    const missing = 'code' in err && err.code === 'ENOENT';
+    const error = missing ? 'Photo file not found' : err.message;
+    console.error(error);
+    if (res.headersSent) return;
+    res.removeHeader('Content-Disposition');
+    res.removeHeader('Content-Type');
+    res.status(missing ? 404 : 500).json({ error });
+  });
+});
+
+app.delete('/orders/:number/photos/:id', async (req, res) => {
+  const accountId = findOrderAccount(req, res, req.params.number);
+  if (accountId === undefined) return;
+  const photo = getPhoto(accountId, req.params.number, safeParseInt(req.params.id));
+  if (!photo) {
+    const error = 'Photo not found';
+    console.error(error);
+    res.status(404).json({ error });
+    return;
+  }
+  try {
+    deletePhoto(photo);
+    res.json({ success: true });
+  } catch (err) {
+    const msg = typeof err === 'object' && err && 'message' in err && err.message;
+    console.error(msg);
+    res.status(500).json({ error: msg });
+    return;
+  }
+});
+
+app.get('/price-sources', async (req, res) => {
+  res.json({ sources: priceSources.map(s => ({ id: s.id, name: s.name, manual: s.manual })) });
+});
+
+app.post('/orders/:number/comps', express.json(), async (req, res) => {
+  const number = req.params.number;
+  const { sourceId = manualSource.id } = req.body ?? {};
+  const source = priceSources.find(s => s.id === sourceId);
+  if (!source) {
+    const error = `Unknown price source '${sourceId}'`;
+    console.error(error);
+    res.status(400).json({ error });
+    return;
+  }
+  try {
+    const accountId = findOrderAccount(req, res, number);
+    if (accountId === undefined) return;
+    const order = /** @type {Order} */ (getOrder(accountId, number));
+    const quotes = await source.lookup(order, req.body);
+    const added = addCompsToOrder(accountId, number, source.id, quotes);
+    const comps = getCompsForOrder(accountId, number);
+    res.json({ added, comps, fairMarketValue: getMedianPrice(comps) });
+  } catch (err) {
+    if (err instanceof PriceSourceError) {
+      console.error(err.message);
+      res.status(400).json({ error: err.message });
+      return;
+    }
+    const msg = typeof err === 'object' && err && 'message' in err && err.message;
+    console.error(msg);
+    res.status(500).json({ error: msg });
+    return;
+  }
+});
+
+app.delete('/orders/:number/comps/:id', async (req, res) => {
+  const accountId = findOrderAccount(req, res, req.params.number);
+  if (accountId === undefined) return;
+  const comp = getComp(accountId, req.params.number, safeParseInt(req.params.id));
+  if (!comp) {
+    const error = 'Comparable price not found';
+    console.error(error);
+    res.status(404).json({ error });
+    return;
+  }
+  try {
+    deleteComp(comp);
+    res.json({ success: true });
+  } catch (err) {
+    const msg = typeof err === 'object' && err && 'message' in err && err.message;
+    console.error(msg);
+    res.status(500).json({ error: msg });
+    return;
+  }
+});
+
+apiRoutes.get('/accounts', async (req, res) => {
+  res.json({ accounts: getAccounts() });
+});
+
+app.post('/accounts', express.json(), async (req, res) => {
+  const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+  if (!name || name.length > 100 || /[\\/]/.test(name) || name.startsWith('.')) {
+    const error = 'Invalid name. Must be up to 100 characters, without slashes or a leading dot';
+    console.error(error);
+    res.status(400).json({ error });
+    return;
+  }
+  if (getAccountByName(name)) {
+    const error = `Account '${name}' already exists`;
+    console.error(error);
+    res.status(409).json({ error });
+    return;
+  }
+  try {
+    res.json({ account: createAccount(name) });
+  } catch (err) {
+    const msg = typeof err === 'object' && err && 'message' in err && err.message;
+    console.error(msg);
+    res.status(500).json({ error: msg });
+    return;
+  }
+});
+
+/**
+ * Validate the body of a request to create or update a reason
+ * @param {any} body Request body
+ * @returns {{ error: string } | { reason: Omit<Reason, 'id'> }}
+ */
+function parseReasonBody(body) {
+  const { name, kind, defaultFactor = null, reportGroup, reportLabel = null, sortOrder = 0, status = null } = body ?? {};
+  if (typeof name !== 'string' || !name.trim() || name.length > 255) {
+    return { error: 'Invalid name. Must be a string up to 255 characters' };
+  }
+  if (!['low', 'high', 'other'].includes(kind)) {
+    return { error: "Invalid kind. Must be 'low', 'high' or 'other'" };
+  }
+  if (defaultFactor !== null && (typeof defaultFactor !== 'number' || defaultFactor < 0)) {
+    return { error: 'Invalid defaultFactor. Must be a number greater than or equal to 0, or null' };
+  }
+  if (!['bad', 'adjusted'].includes(reportGroup)) {
+    return { error: "Invalid reportGroup. Must be 'bad' or 'adjusted'" };
+  }
+  if (reportLabel !== null && (typeof reportLabel !== 'string' || reportLabel.length > 255)) {
+    return { error: 'Invalid reportLabel. Must be a string up to 255 characters, or null' };
+  }
+  if (!Number.isInteger(sortOrder)) {
+    return { error: 'Invalid sortOrder. Must be an integer' };
+  }
+  if (status !== null && !isInventoryStatus(status)) {
+    return { error: `Invalid status. Must be one of: ${inventoryStatuses.map(s => s.id).join(', ')}, or null` };
+  }
+  return { reason: { name: name.trim(), kind, defaultFactor, reportGroup, reportLabel: reportLabel || null, sortOrder, status } };
+}
+
+app.post('/reasons', express.json(), async (req, res) => {
+  const parsed = parseReasonBody(req.body);
+  if ('error' in parsed) {
+    console.error(parsed.error);
+    res.status(400).json({ error: parsed.error });
+    return;
+  }
+  if (getReasons().some(r => r.name === parsed.reason.name)) {
+    const error = `Reason '${parsed.reason.name}' already exists`;
+    console.error(error);
+    res.status(409).json({ error });
+    return;
+  }
+  try {
+    res.json({ id: createReason(parsed.reason) });
+  } catch (err) {
+    const msg = typeof err === 'object' && err && 'message' in err && err.message;
+    console.error(msg);
+    res.status(500).json({ error: msg });
+    return;
+  }
+});
+
+app.post('/reasons/:id', express.json(), async (req, res) => {
+  const id = safeParseInt(req.params.id);
+  const existing = getReasons().find(r => r.id === id);
+  if (id === undefined || !existing) {
+    const error = 'Reason not found';
+    console.error(error);
+    res.status(404).json({ error });
+    return;
+  }
+  // The name is stored on orders, so it can't be changed
+  const parsed = parseReasonBody({ ...req.body, name: existing.name });
+  if ('error' in parsed) {
+    console.error(parsed.error);
+    res.status(400).json({ error: parsed.error });
+    return;
+  }
+  try {
+    updateReason(id, parsed.reason);
+    res.json({ success: true });
+  } catch (err) {
+    const msg = typeof err === 'object' && err && 'message' in err && err.message;
+    console.error(msg);
+    res.status(500).json({ error: msg });
+    return;
+  }
+});
+
+app.delete('/reasons/:id', async (req, res) => {
+  const id = safeParseInt(req.params.id);
+  if (id === undefined || !deleteReason(id)) {
+    const error = 'Reason not found';
+    console.error(error);
+    res.status(404).json({ error });
+    return;
+  }
+  res.json({ success: true });
+});
+
+/**
+ * Validate the body of a request to create or update a factor preset
+ * @param {any} body Request body
+ * @returns {{ error: string } | { preset: Omit<FactorPreset, 'id'> }}
+ */
+function parseFactorPresetBody(body) {
+  const { factor, label, reasonRequired = true, reportLabel = null, sortOrder = 0 } = body ?? {};
+  if (typeof factor !== 'number' || factor < 0) {
+    return { error: 'Invalid factor. Must be a number greater than or equal to 0' };
+  }
+  if (typeof label !== 'string' || !label.trim() || label.length > 50) {
+    return { error: 'Invalid label. Must be a string up to 50 characters' };
+  }
+  if (typeof reasonRequired !== 'boolean') {
+    return { error: 'Invalid reasonRequired. Must be a boolean' };
+  }
+  if (reportLabel !== null && (typeof reportLabel !== 'string' || reportLabel.length > 255)) {
+    return { error: 'Invalid reportLabel. Must be a string up to 255 characters, or null' };
+  }
+  if (!Number.isInteger(sortOrder)) {
+    return { error: 'Invalid sortOrder. Must be an integer' };
+  }
+  return { preset: { factor, label: label.trim(), reasonRequired, reportLabel: reportLabel || null, sortOrder } };
+}
+
+app.post('/factor-presets', express.json(), async (req, res) => {
+  const parsed = parseFactorPresetBody(req.body);
+  if ('error' in parsed) {
+    console.error(parsed.error);
+    res.status(400).json({ error: parsed.error });
+    return;
+  }
+  if (getFactorPresets().some(p => p.factor === parsed.preset.factor)) {
+    const error = `A preset for ${parsed.preset.factor} already exists`;
+    console.error(error);
+    res.status(409).json({ error });
+    return;
+  }
+  try {
+    res.json({ id: createFactorPreset(parsed.preset) });
+    publishSensors();
+  } catch (err) {
+    const msg = typeof err === 'object' && err && 'message' in err && err.message;
+    console.error(msg);
+    res.status(500).json({ error: msg });
+    return;
+  }
+});
+
+app.post('/factor-presets/:id', express.json(), async (req, res) => {
+  const id = safeParseInt(req.params.id);
+  const presets = getFactorPresets();
+  if (id === undefined || !presets.some(p => p.id === id)) {
+    const error = 'Preset not found';
+    console.error(error);
+    res.status(404).json({ error });
+    return;
+  }
+  const parsed = parseFactorPresetBody(req.body);
+  if ('error' in parsed) {
+    console.error(parsed.error);
+    res.status(400).json({ error: parsed.error });
+    return;
+  }
+  if (presets.some(p => p.id !== id && p.factor === parsed.preset.factor)) {
+    const error = `A preset for ${parsed.preset.factor} already exists`;
+    console.error(error);
+    res.status(409).json({ error });
+    return;
+  }
+  try {
+    updateFactorPreset(id, parsed.preset);
+    res.json({ success: true });
+    publishSensors();
+  } catch (err) {
+    const msg = typeof err === 'object' && err && 'message' in err && err.message;
+    console.error(msg);
+    res.status(500).json({ error: msg });
+    return;
+  }
+});
+
+app.delete('/factor-presets/:id', async (req, res) => {
+  const id = safeParseInt(req.params.id);
+  if (id === undefined || !deleteFactorPreset(id)) {
+    const error = 'Preset not found';
+    console.error(error);
+    res.status(404).json({ error });
+    return;
+  }
+  res.json({ success: true });
+  publishSensors();
+});
+
+/**
+ * Validate the match criteria of a rule
+ * @param {any} body Request body
+ * @returns {{ error: string } | { criteria: RuleCriteria }}
+ */
+function parseRuleCriteria(body) {
+  const { asins = null, productKeywords = null, minEtv = null, maxEtv = null, orderedFrom = null, orderedTo = null } = body ?? {};
+  if (asins !== null && (typeof asins !== 'string' || asins.length > 2000)) {
+    return { error: 'Invalid asins. Must be a comma-separated string up to 2000 characters, or null' };
+  }
+  if (productKeywords !== null && (typeof productKeywords !== 'string' || productKeywords.length > 2000)) {
+    return { error: 'Invalid productKeywords. Must be a comma-separated string up to 2000 characters, or null' };
+  }
+  if (minEtv !== null && (typeof minEtv !== 'number' || minEtv < 0)) {
+    return { error: 'Invalid minEtv. Must be a number greater than or equal to 0, or null' };
+  }
+  if (maxEtv !== null && (typeof maxEtv !== 'number' || maxEtv < 0)) {
+    return { error: 'Invalid maxEtv. Must be a number greater than or equal to 0, or null' };
+  }
+  if (minEtv !== null && maxEtv !== null && minEtv > maxEtv) {
+    return { error: 'Invalid minEtv. Must not be more than maxEtv' };
+  }
+  for (const [name, value] of Object.entries({ orderedFrom, orderedTo })) {
+    if (value !== null && (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value))) {
+      return { error: `Invalid ${name}. Must be a date like YYYY-MM-DD, or null` };
+    }
+  }
+  const criteria = {
+    asins: asins?.trim() || null,
+    productKeywords: productKeywords?.trim() || null,
+    minEtv,
+    maxEtv,
+    orderedFrom,
+    orderedTo
+  };
+  if (!hasCriteria(criteria)) {
+    return { error: 'Must specify at least one of asins, productKeywords, minEtv, maxEtv, orderedFrom or orderedTo' };
+  }
+  return { criteria };
+}
+
+/**
+ * Validate the body of a request to create or update a rule
+ * @param {any} body Request body
+ * @returns {{ error: string } | { rule: Omit<Rule, 'id'> }}
+ */
+function parseRuleBody(body) {
+  const { name, enabled = true, etvFactor, etvReason = null, sortOrder = 0 } = body ?? {};
+  if (typeof name !== 'string' || !name.trim() || name.length > 255) {
+    return { error: 'Invalid name. Must be a string up to 255 characters' };
+  }
+  if (typeof enabled !== 'boolean') {
+    return { error: 'Invalid enabled. Must be a boolean' };
+  }
+  const parsed = parseRuleCriteria(body);
+  if ('error' in parsed) return parsed;
+  if (typeof etvFactor !== 'number' || etvFactor < 0) {
+    return { error: 'Invalid etvFactor. Must be a number greater than or equal to 0' };
+  }
+  if (etvReason !== null && (typeof etvReason !== 'string' || etvReason.length > 255)) {
+    return { error: 'Invalid etvReason. Must be a string up to 255 characters, or null' };
+  }
+  if (!Number.isInteger(sortOrder)) {
+    return { error: 'Invalid sortOrder. Must be an integer' };
+  }
+  return { rule: { name: name.trim(), enabled, ...parsed.criteria, etvFactor, etvReason: etvReason || null, sortOrder } };
+}
+
+/**
+ * Find the orders a rule would adjust, out of those that haven't been adjusted or cancelled
+ * @param {number | undefined} accountId Account to look in, or undefined for all accounts
+ * @param {RuleCriteria} criteria
+ * @returns {Order[]}
+ */
+function getUnadjustedMatches(accountId, criteria) {
+  return getOrders({ accountId, cancelled: false })
+    .filter(o => o.etvFactor === null && !o.etvReason && matchesRule(criteria, o));
+}
+
+app.post('/rules', express.json(), async (req, res) => {
+  const parsed = parseRuleBody(req.body);
+  if ('error' in parsed) {
+    console.error(parsed.error);
+    res.status(400).json({ error: parsed.error });
+    return;
+  }
+  try {
+    res.json({ id: createRule(parsed.rule) });
+  } catch (err) {
+    const msg = typeof err === 'object' && err && 'message' in err && err.message;
+    console.error(msg);
+    res.status(500).json({ error: msg });
+    return;
+  }
+});
+
+app.post('/rules/preview', express.json(), async (req, res) => {
+  const parsed = parseRuleCriteria(req.body);
+  if ('error' in parsed) {
+    console.error(parsed.error);
+    res.status(400).json({ error: parsed.error });
+    return;
+  }
+  try {
+    const orders = getUnadjustedMatches(getAccountScope(req), parsed.criteria);
+    res.json({ count: orders.length, orders: orders.slice(0, 100) });
+  } catch (err) {
+    const msg = typeof err === 'object' && err && 'message' in err && err.message;
+    console.error(msg);
+    res.status(500).json({ error: msg });
+    return;
+  }
+});
+
+app.post('/rules/:id', express.json(), async (req, res) => {
+  const id = safeParseInt(req.params.id);
+  if (id === undefined || !getRules().some(r => r.id === id)) {
+    const error = 'Rule not found';
+    console.error(error);
+    res.status(404).json({ error });
+    return;
+  }
+  const parsed = parseRuleBody(req.body);
+  if ('error' in parsed) {
+    console.error(parsed.error);
+    res.status(400).json({ error: parsed.error });
+    return;
+  }
+  try {
+    updateRule(id, parsed.rule);
+    res.json({ success: true });
+  } catch (err) {
+    const msg = typeof err === 'object' && err && 'message' in err && err.message;
+    console.error(msg);
+    res.status(500).json({ error: msg });
+    return;
+  }
+});
+
+app.delete('/rules/:id', async (req, res) => {
+  const id = safeParseInt(req.params.id);
+  if (id === undefined || !deleteRule(id)) {
+    const error = 'Rule not found';
+    console.error(error);
+    res.status(404).json({ error });
+    return;
+  }
+  res.json({ success: true });
+});
+
+app.post('/rules/:id/apply', async (req, res) => {
+  const id = safeParseInt(req.params.id);
+  const rule = getRules().find(r => r.id === id);
+  if (!rule) {
+    const error = 'Rule not found';
+    console.error(error);
+    res.status(404).json({ error });
+    return;
+  }
+  try {
+    const orders = getUnadjustedMatches(getAccountScope(req), rule);
+    runInTransaction(db, () => {
+      for (const order of orders) {
+        applyRuleToOrder(order.accountId, order.number, rule);
+      }
+    });
+    res.json({ updated: orders.length });
+    publishSensors();
+  } catch (err) {
+    const msg = typeof err === 'object' && err && 'message' in err && err.message;
+    console.error(msg);
+    res.status(500).json({ error: msg });
+    return;
+  }
+});
+
+app.post('/review-items/:id', express.json(), async (req, res) => {
+  const id = safeParseInt(req.params.id);
+  const item = id === undefined ? undefined : getReviewItem(id);
+  if (!item) {
+    const error = 'Review item not found';
+    console.error(error);
+    res.status(404).json({ error });
+    return;
+  }
+  const { resolution } = req.body ?? {};
+  const allowed = item.kind === 'etvChanged' ? ['keepNew', 'keepOld', 'dismissed'] : ['dismissed'];
+  if (!allowed.includes(resolution)) {
+    const error = `Invalid resolution. Must be one of: ${allowed.join(', ')}`;
+    console.error(error);
+    res.status(400).json({ error });
+    return;
+  }
+  if (item.resolvedAt) {
+    const error = 'Review item was already resolved';
+    console.error(error);
+    res.status(409).json({ error });
+    return;
+  }
+  try {
+    resolveReviewItem(item, resolution);
+    res.json({ success: true });
+    publishSensors();
+  } catch (err) {
+    const msg = typeof err === 'object' && err && 'message' in err && err.message;
+    console.error(msg);
+    res.status(500).json({ error: msg });
+    return;
+  }
+});
+
+app.post('/api-tokens', express.json(), async (req, res) => {
+  const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+  if (!name || name.length > 100) {
+    const error = 'Invalid name. Must be a string up to 100 characters';
+    console.error(error);
+    res.status(400).json({ error });
+    return;
+  }
+  try {
+    res.json(createApiToken(name));
+  } catch (err) {
+    const msg = typeof err === 'object' && err && 'message' in err && err.message;
+    console.error(msg);
+    res.status(500).json({ error: msg });
+    return;
+  }
+});
+
+app.delete('/api-tokens/:id', async (req, res) => {
+  const id = safeParseInt(req.params.id);
+  if (id === undefined || !deleteApiToken(id)) {
+    const error = 'Token not found';
+    console.error(error);
+    res.status(404).json({ error });
+    return;
+  }
+  res.json({ success: true });
+});
+
+app.get('/backup', async (req, res) => {
+  const tempPath = path.join(os.tmpdir(), `vinetracker-${crypto.randomUUID()}.db`);
+  try {
+    await backupDatabase(db, tempPath);
+    res.download(tempPath, `vinetracker-${getDateString(new Date())}.db`, () => {
+      fs.rm(tempPath, { force: true }, () => {});
+    });
+  } catch (err) {
+    fs.rm(tempPath, { force: true }, () => {});
+    const msg = typeof err === 'object' && err && 'message' in err && err.message;
+    console.error(msg);
+    res.status(500).json({ error: msg });
+    return;
+  }
+});
+
+app.get('/export', async (req, res) => {
+  try {
+    res.set('Content-Disposition', `attachment; filename="vinetracker-${getDateString(new Date())}.json"`);
+    res.json(exportDatabase(db));
+  } catch (err) {
+    const msg = typeof err === 'object' && err && 'message' in err && err.message;
+    console.error(msg);
+    res.status(500).json({ error: msg });
+    return;
+  }
+});
+
+app.post('/backups', async (req, res) => {
+  try {
+    const name = await createBackup(db, backupsPath, getOptions().backup_keep);
+    res.json({ name });
+  } catch (err) {
+    const msg = typeof err === 'object' && err && 'message' in err && err.message;
+    console.error(msg);
+    res.status(500).json({ error: msg });
+    return;
+  }
+});
+
+app.get('/backups/:name', async (req, res) => {
+  const name = req.params.name;
+  if (!isBackupName(name) || !fs.existsSync(path.join(backupsPath, name))) {
+    const error = `Backup '${name}' not found`;
+    console.error(error);
+    res.status(404).json({ error });
+    return;
+  }
+  res.download(path.join(backupsPath, name));
+});
+
+app.post('/restore', fileUpload({ useTempFiles: true, tempFileDir: os.tmpdir() }), async (req, res) => {
+  if (!req.files || !req.files.file || Array.isArray(req.files.file)) {
+    const error = 'Missing file upload. Please upload one backup (.db) or export (.json).';
+    console.error(error);
+    res.status(400).json({ error });
+    return;
+  }
+  const { tempFilePath } = req.files.file;
+  try {
+    // Keep what's being replaced, in case the wrong file was restored. Older backups aren't pruned yet, so a failed
+    // restore doesn't cost one.
+    const backup = await createBackup(db, backupsPath);
+    const contents = fs.readFileSync(tempFilePath);
+    try {
+      if (contents.subarray(0, 16).toString('latin1') === 'SQLite format 3\0') {
+        restoreBackup(db, tempFilePath);
+      } else {
+        importDatabase(db, JSON.parse(contents.toString('utf-8')));
+      }
+    } catch (err) {
+      fs.rmSync(path.join(backupsPath, backup), { force: true });
+      const msg = typeof err === 'object' && err && 'message' in err && err.message;
+      const error = `Failed to restore, nothing was changed: ${msg}`;
+      console.error(error);
+      res.status(400).json({ error });
+      return;
+    }
+    console.log(`Restored DB from ${req.files.file.name}. The previous data was backed up to ${backup}.`);
+    publishSensors();
+    res.json({ success: true, backup });
+  } catch (err) {
+    const msg = typeof err === 'object' && err && 'message' in err && err.message;
+    console.error(msg);
+    res.status(500).json({ error: msg });
+    return;
+  } finally {
+    fs.rm(tempFilePath, { force: true }, () => {});
+  }
+});
+
+apiRoutes.post('/upload', fileUpload(), async (req, res) => {
+  if (!req.files || !req.files.file) {
+    const error = 'Missing file upload';
+    console.error(error);
+    res.status(400).json({ error });
+    return;
+  }
+  if (Array.isArray(req.files.file)) {
+    const error = 'Multiple files uploaded. Please upload only one file at a time.';
+    console.error(error);
+    res.status(400).json({ error });
+    return;
+  }
+  if (!isSupportedFile(req.files.file.name, req.files.file.mimetype)) {
+    const error = `Invalid file type '${req.files.file.mimetype}'. Please upload a Vine export (${supportedExtensions.join(', ')}).`;
+    console.error(error);
+    res.status(400).json({ error });
+    return;
+  }
+  const accountId = getAccountScope(req);
+  if (accountId === undefined) {
+    const error = 'Uploads must be tagged to an account. Please choose an account rather than all accounts.';
+    console.error(error);
+    res.status(400).json({ error });
+    return;
+  }
+  const dryRun = req.query['dryRun'] === '1' || req.query['dryRun'] === 'true';
+  try {
+    const lines = await parseOrderFile(req.files.file.data, req.files.file.name, {
+      mimetype: req.files.file.mimetype,
+      columnMapping: getOptions().column_mapping
+    });
+    const etvBefore = getCurrentYearEtv(accountId);
+    const result = importRows(lines, { accountId, dryRun });
+    res.json(result);
+    if (!dryRun) {
+      publishSensors();
+      announceImport(accountId, result, etvBefore, 'upload');
+    }
+  } catch (err) {
+    if (err instanceof ImportFormatError) {
+      console.error(err.message);
+      res.status(400).json({ error: err.message, headers: err.headers });
+      return;
+    }
+    const msg = typeof err === 'object' && err && 'message' in err && err.message;
+    console.error(msg);
+    res.status(500).json({ error: msg });
+    return;
+  }
+});
+
+/**
+ * @typedef {object} RejectedRow
+ * @prop {number} line Line number in the uploaded file
+ * @prop {string} [number] Order number, if one could be read
+ * @prop {string} reason Why the row was rejected
+ */
+/**
+ * @typedef {object} ImportResult
+ * @prop {boolean} dryRun Whether the import was rolled back rather than committed
+ * @prop {number} inserted Count of new orders
+ * @prop {number} updated Count of existing orders whose ETV or shipped date changed
+ * @prop {number} unchanged Count of existing orders that were already up to date
+ * @prop {number} cancellations Count of orders newly marked cancelled
+ * @prop {number} ruleAdjusted Count of new orders adjusted by a rule
+ * @prop {number} flagged Count of orders added to the review list, for a changed ETV or a repeated ASIN
+ * @prop {EtvChange[]} etvChanges Existing orders whose ETV the import changed
+ * @prop {number} failed Count of rejected rows
+ * @prop {RejectedRow[]} rejected Rows that failed validation and were skipped
+ */
+/**
+ * @typedef {object} EtvChange
+ * @prop {string} number Order number
+ * @prop {number} oldEtv ETV before the import
+ * @prop {number} newEtv ETV in the import
+ */
+
+// Thrown to roll back a dry run import once its result is known
+const dryRunRollback = new Error('Dry run rolled back');
+
+/**
+ * Import parsed spreadsheet rows as a single transaction. Invalid rows are skipped and reported
+ * rather than aborting the import. In a dry run, everything is rolled back once the result is known.
+ * @param {import('./xlsx').Row[]} lines Parsed rows
+ * @param {object} options
+ * @param {number} options.accountId Account to import the orders into
+ * @param {boolean} [options.dryRun=false] Whether to roll back instead of committing
+ * @returns {ImportResult}
+ */
+function importRows(lines, { accountId, dryRun = false }) {
+  /** @type {ImportResult} */
+  const result = {
+    dryRun,
+    inserted: 0,
+    updated: 0,
+    unchanged: 0,
+    cancellations: 0,
+    ruleAdjusted: 0,
+    flagged: 0,
+    etvChanges: [],
+    failed: 0,
+    rejected: []
+  };
+  const rules = getRules();
+  /** @type {Map<string, { line: number, cancelledAt: Date }>} */
+  const cancellations = new Map();
+
+  try {
+    runInTransaction(db, () => {
+      for (const line of lines) {
+        const validated = validateRow(line);
+        if (validated.kind === 'invalid') {
+          result.rejected.push({ line: line.line, number: line.number || undefined, reason: validated.reason });
+          continue;
+        }
+        if (validated.kind === 'cancellation') {
+          cancellations.set(validated.number, { line: line.line, cancelledAt: validated.cancelledAt });
+          continue;
+        }
+
+        const existing = getOrder(accountId, validated.order.number);
+        let order = mergeImportedOrder(validated, existing);
+        if (existing && existing.etv !== order.etv && isEtvChangeDeclined(accountId, order.number, order.etv)) {
+          order = { ...order, etv: existing.etv };
+        }
+        maybeInsertOrder(accountId, order);
+        if (!existing) {
+          result.inserted++;
+          const rule = findMatchingRule(rules, order);
+          if (rule) {
+            applyRuleToOrder(accountId, order.number, rule);
+            result.ruleAdjusted++;
+          }
+          if (flagRepeatedAsin(accountId, order)) {
+            result.flagged++;
+          }
+        } else if (existing.etv !== order.etv || existing.deliveredAt?.getTime() !== order.deliveredAt?.getTime()) {
+          result.updated++;
+          if (existing.etv !== order.etv) {
+            flagEtvChange(accountId, order.number, existing.etv, order.etv);
+            result.etvChanges.push({ number: order.number, oldEtv: existing.etv, newEtv: order.etv });
+            result.flagged++;
+          }
+        } else {
+          result.unchanged++;
+        }
+      }
+
+      // Handle cancellations once all orders in the file are in, since they may reference orders in the same file
+      for (const [number, { line, cancelledAt }] of cancellations) {
+        const existing = getOrder(accountId, number);
+        if (!existing) {
+          result.rejected.push({ line, number, reason: 'Cancellation for an unknown order' });
+          continue;
+        }
+        if (existing.cancelledAt?.getTime() === cancelledAt.getTime()) continue;
+        updateOrderField(accountId, number, 'cancelledAt', cancelledAt.toISOString(), 'import');
+        result.cancellations++;
+      }
+      if (dryRun) throw dryRunRollback;
+    });
+  } catch (err) {
+    if (err !== dryRunRollback) throw err;
+  }
+
+  result.rejected.sort((a, b) => a.line - b.line);
+  result.failed = result.rejected.length;
+  console.log(`${dryRun ? 'Dry run' : 'Upload'} complete. Inserted: ${result.inserted}, Updated: ${result.updated}, Unchanged: ${result.unchanged}, Failed: ${result.failed}, Cancellations: ${result.cancellations}, Adjusted by rules: ${result.ruleAdjusted}, Flagged for review: ${result.flagged}`);
+  return result;
+}
+
+/**
+ * Open and migrate the DB, then start serving. Refuses to serve if the DB can't be migrated.
+ */
+function start() {
+  console.log('Starting VineTracker addon...');
+  Graceful.on('exit', function () {
+    db.close();
+  });
+
+  db.open();
+  try {
+    migrate(db, {
+      backupPath: fromVersion => path.join(dbBasePath, `vinetracker.v${fromVersion}.${Date.now()}.db.bak`)
+    });
+  } catch (err) {
+    console.error('Failed to migrate DB. Refusing to start.', err);
+    Graceful.exit(1);
+    return;
+  }
+
+  app.listen(8099, () => {
+    console.log('VineTracker addon is running on port 8099');
+    console.log('Visit http://localhost:8099');
+
+    publishSensors();
+    startInbox();
+    startBackups();
+  });
+  startApi();
+}
+
+/**
+ * Serve the routes on apiRoutes under /api/v1 on their own port, if enabled. Unlike ingress, any client can reach
+ * it, so every call needs a bearer token from the settings page.
+ */
+function startApi() {
+  const port = getOptions().api_port;
+  if (!port) return;
+  const api = express();
+  api.use(morgan('combined'));
+  api.get('/api/v1/openapi.json', (req, res) => {
+    res.json(openApiDocument);
+  });
+  api.use('/api/v1', (req, res, next) => {
+    const match = /^Bearer (\S+)$/i.exec(req.get('authorization') ?? '');
+    if (!match || !useApiToken(match[1])) {
+      const error = match ? 'Unknown API token' : 'Missing API token. Send one from the Settings page as a Bearer token.';
+      console.error(error);
+      res.set('WWW-Authenticate', 'Bearer');
+      res.status(401).json({ error });
+      return;
+    }
+    next();
+  }, apiRoutes);
+  api.use((req, res) => {
+    const error = `Unknown API route ${req.method} ${req.path}`;
+    console.error(error);
+    res.status(404).json({ error });
+  });
+  api.listen(port, () => {
+    console.log(`VineTracker API is running on port ${port}`);
+  });
+}
+
+/**
+ * Start backing up the DB to the share folder on a schedule, if enabled
+ */
+function startBackups() {
+  const options = getOptions();
+  if (!options.backup_interval) return;
+  const stop = scheduleBackups({
+    db,
+    dirPath: backupsPath,
+    intervalHours: options.backup_interval,
+    keep: options.backup_keep
+  });
+  Graceful.on('exit', stop);
+}
+
+/**
+ * Start watching the share folder's inbox for order exports, if enabled
+ */
+async function startInbox() {
+  const options = getOptions();
+  if (!options.inbox_enabled) return;
+  try {
+    const stop = await watchInbox({
+      basePath: path.join(dbBasePath, 'vinetracker'),
+      intervalSeconds: options.inbox_interval,
+      importFile: async (buffer, filename, accountName) => {
+        const account = accountName === undefined ? getAccounts()[0] : getAccountByName(accountName);
+        if (!account) {
+          throw new Error(`Unknown account '${accountName}'. Add it in Vine Tracker first.`);
+        }
+        const lines = await parseOrderFile(buffer, filename, { columnMapping: options.column_mapping });
+        const etvBefore = getCurrentYearEtv(account.id);
+        const result = importRows(lines, { accountId: account.id });
+        publishSensors();
+        announceImport(account.id, result, etvBefore, 'inbox');
+        return result;
+      }
+    });
+    Graceful.on('exit', stop);
+  } catch (err) {
+    console.error('Failed to start inbox watcher:', err);
+  }
+}
+start();
+
+/**
+ * @typedef {Object} Order
+ * @prop {number} accountId Account the order belongs to
+ * @prop {string} number Order number
+ * @prop {string} asin Product ASIN
+ * @prop {string} product Product name
+ * @prop {Date} orderedAt Date the order was placed
+ * @prop {Date} [deliveredAt] Date the order was delivered
+ * @prop {number} etv Original ETV
+ * @prop {number | null} etvFactor Residual percent of ETV at transfer to personal use
+ * @prop {Date} [cancelledAt] When the order was cancelled, otherwise undefined
+ * @prop {string} [etvReason] Reason for ETV adjustment
+ * @prop {string} [notes] Additional notes
+ * @prop {number} [ruleId] Rule that adjusted the order, if any
+ * @prop {InventoryStatus} [status] Where the item is in its lifecycle, if tracked
+ * @prop {Date} [statusAt] When the item got its current status
+ * @prop {string} [location] Where the item is stored
+ * @prop {Date} [snoozedUntil] When the order comes back into the carousel's review queue, if it was snoozed
+ */
+
+/**
+ * @typedef {object} GetOrdersOptions
+ * @prop {number} [accountId] Account to fetch orders for, defaults to all accounts
+ * @prop {boolean} [cancelled] Whether to fetch only cancelled orders (true), or only not-cancelled (false), or all (undefined)
+ * @prop {boolean} [nonAdjustedOnly=false] Whether to fetch only non-adjusted orders (true), or all (false)
+ * @prop {number} [limit] The max number of orders to retrieve, defaults to all orders
+ * @prop {number} [offset] How many orders to offset by
+ * @prop {string} [search] A keyword to search for, looks at product name, notes, asin, order number, and order date
+ * @prop {number} [year] Whether to limit results to just those ordered in a certain year
+ * @prop {Date} [from] First day to include, like year
+ * @prop {Date} [to] Last day to include, like year
+ * @prop {number} [minEtv] Lowest original ETV to include
+ * @prop {number} [maxEtv] Highest original ETV to include
+ * @prop {string} [reason] Only include orders with this ETV adjustment reason
+ * @prop {boolean} [hasReason] Whether to fetch only orders with a reason (true), or only without one (false), or all (undefined)
+ * @prop {boolean} [hasNotes] Whether to fetch only orders with notes (true), or only without (false), or all (undefined)
+ * @prop {boolean} [delivered] Whether to fetch only delivered orders (true), or only undelivered (false), or all (undefined)
+ * @prop {number | null} [etvFactor] Only include orders with this ETV factor, or with no factor set if null
+ * @prop {boolean} [snoozed] Whether to fetch only orders that are snoozed now (true), or only not (false), or all (undefined)
+ * @prop {string} [sort] Column to sort by
+ * @prop {string} [dir] Direction to sort
+ * @prop {boolean} [byDelivered=false] Whether to use the delivered date, or the order date if not delivered, for
+ *   filtering by date, rather than only the order date
+ */
+/**
+ * @typedef {object} GetOrdersOptionsRows
+ * @prop {false} [countOnly] Whether to only return the count rather than the actual records
+ */
+/**
+ * @typedef {object} GetOrdersOptionsCount
+ * @prop {true} [countOnly] Whether to only return the count rather than the actual records
+ */
+/**
+ * @overload
+ * Fetch orders from SQL
+ * @param {GetOrdersOptions & GetOrdersOptionsRows} options
+ * @returns {Order[]} List of orders
+ */
+/**
+ * @overload
+ * Fetch order count from SQL
+ * @param {GetOrdersOptions & GetOrdersOptionsCount} options
+ * @returns {number} Count of orders
+ */
+/**
+ * @param {GetOrdersOptions & (GetOrdersOptionsRows | GetOrdersOptionsCount)} options
+ */
+function getOrders({
+  accountId,
+  cancelled,
+  nonAdjustedOnly = false,
+  limit,
+  offset,
+  search,
+  year,
+  from,
+  to,
+  minEtv,
+  maxEtv,
+  reason,
+  hasReason,
+  hasNotes,
+  delivered,
+  etvFactor,
+  snoozed,
+  countOnly = false,
+  sort,
+  dir,
+  byDelivered = false,
+}) {
+  /** @type {string | null} */
+  let keyword = null;
+  /** @type {string | null} */
+  let match = null;
+  // Every date filter narrows the range, so it ends up as the latest start and earliest end of them all
+  /** @type {Date[]} */
+  const starts = [];
+  /** @type {Date[]} */
+  const ends = [];
+  if (year) {
+    starts.push(new Date(year, 0, 1));
+    ends.push(new Date(year, 11, 31, 23, 59, 59, 999));
+  }
+  if (from) {
+    starts.push(from);
+  }
+  if (to) {
+    ends.push(new Date(to.getFullYear(), to.getMonth(), to.getDate(), 23, 59, 59, 999));
+  }
+  if (search) {
+    const day = parseDateString(search);
+    if (day) {
+      starts.push(day);
+      ends.push(new Date(day.getFullYear(), day.getMonth(), day.getDate(), 23, 59, 59, 999));
+    } else if (search.length >= 3) {
+      // A quoted phrase, so the search index matches it as a substring like LIKE does
+      match = '"' + search.replaceAll('"', '""') + '"';
+    } else {
+      // The trigram index can't match anything shorter than 3 characters
+      keyword = '%' + search + '%';
+    }
+  }
+  const startDate = starts.length ? new Date(Math.max(...starts.map(d => d.getTime()))).toISOString() : null;
+  const endDate = ends.length ? new Date(Math.min(...ends.map(d => d.getTime()))).toISOString() : null;
+  const dateCol = byDelivered ? 'COALESCE(deliveredAt, orderedAt)' : 'orderedAt';
+  let sortCol = 'orderedAt';
+  if (!countOnly && sort && ['etv', 'etvFactor', 'adjustedEtv', 'orderedAt', 'deliveredAt', 'cancelledAt', 'product'].includes(sort)) {
+    sortCol = sort;
+  }
+  const sortDir = countOnly ? 'ASC' : (dir === 'asc' ? 'ASC' : 'DESC');
+  const statement = `SELECT ${countOnly ?
+    'COUNT(1) as row_count' : '*, etv * COALESCE(etvFactor, 1) AS adjustedEtv'
+  } FROM orders WHERE 1${accountId !== undefined ? " AND accountId = :accountId" : ""}${typeof cancelled !== 'undefined' ? ` AND cancelledAt ${cancelled ? 'IS NOT NULL' : 'IS NULL'}` : ""}${!!keyword ?
+    " AND (number LIKE :keyword OR asin LIKE :keyword OR product LIKE :keyword OR notes LIKE :keyword)" : ""
+  }${!!match ?
+    " AND (accountId, number) IN (SELECT accountId, number FROM orders_search WHERE orders_search MATCH :match)" : ""
+  }${!!startDate ?
+    ` AND (${dateCol} >= :startDate OR cancelledAt >= :startDate)` : ""
+  }${!!endDate ?
+    ` AND (${dateCol} <= :endDate OR cancelledAt <= :endDate)` : ""
+  }${typeof minEtv === 'number' ?
+    " AND etv >= :minEtv" : ""
+  }${typeof maxEtv === 'number' ?
+    " AND etv <= :maxEtv" : ""
+  }${typeof reason === 'string' ?
+    " AND etvReason = :reason" : ""
+  }${typeof hasReason !== 'undefined' ?
+    ` AND etvReason ${hasReason ? 'IS NOT NULL' : 'IS NULL'}` : ""
+  }${typeof hasNotes !== 'undefined' ?
+    ` AND ${hasNotes ? "notes IS NOT NULL AND notes != ''" : "(notes IS NULL OR notes = '')"}` : ""
+  }${typeof delivered !== 'undefined' ?
+    ` AND deliveredAt ${delivered ? 'IS NOT NULL' : 'IS NULL'}` : ""
+  }${typeof etvFactor === 'number' ?
+    // Factors are stored as floats, so compare them with a little tolerance
+    " AND ABS(etvFactor - :etvFactor) < 0.000001" : ""
+  }${etvFactor === null ?
+    " AND etvFactor IS NULL" : ""
+  }${typeof snoozed !== 'undefined' ?
+    ` AND ${snoozed ? 'snoozedUntil > :now' : '(snoozedUntil IS NULL OR snoozedUntil <= :now)'}` : ""
+  }${nonAdjustedOnly ?
+    " AND etv != 0.0 AND (etvFactor IS NULL OR (etvFactor NOT IN (SELECT factor FROM factor_presets WHERE reasonRequired = 0) AND etvReason IS NULL AND ruleId IS NULL))" : ""
+  } ORDER BY ${sortCol} ${sortDir}${typeof limit === 'number' ?
+    " LIMIT :limit" : ""
+  }${typeof offset === 'number' ?
+    " OFFSET :offset" : ""
+  }`;
+  const query = db.prepare(statement);
+
+  const variables = onlyDefined({
+    accountId: accountId,
+    keyword: keyword,
+    match: match,
+    startDate: startDate,
+    endDate: endDate,
+    minEtv: minEtv,
+    maxEtv: maxEtv,
+    reason: reason,
+    etvFactor: etvFactor,
+    now: typeof snoozed !== 'undefined' ? new Date().toISOString() : undefined,
+    limit: limit,
+    offset: offset
+  });
+
+  if (countOnly) {
+    const result = query.get(variables);
+    return result?.row_count ?? 0;
+  }
+
+  const orders = query.all(variables);
+  return orders.map(toOrder);
+}
+
+/**
+ * Return an object that only contains the keys of input that were defined
+ * @param {Record<string, NonNullable<any> | undefined | null>} input 
+ * @returns {Record<string, NonNullable<any>>}
+ */
+function onlyDefined(input) {
+  return Object.fromEntries(Object.entries(input).filter(([key, value]) => value !== undefined && value !== null));
+}
+
+/**
+ * @typedef {'user' | 'import' | 'rule'} HistorySource Where a change to an order came from
+ */
+/**
+ * @typedef {object} OrderHistoryEntry
+ * @prop {string} field Name of the order field that changed
+ * @prop {string | number | null} oldValue Value before the change
+ * @prop {string | number | null} newValue Value after the change
+ * @prop {HistorySource} source Where the change came from
+ * @prop {Date} changedAt When the change was made
+ */
+
+/**
+ * Record a change to an order field in the audit history, if the value actually changed
+ * @param {number} accountId Account the order belongs to
+ * @param {string} number Order number
+ * @param {string} field Name of the order field
+ * @param {string | number | null | undefined} oldValue Value before the change
+ * @param {string | number | null | undefined} newValue Value after the change
+ * @param {HistorySource} source Where the change came from
+ */
+function recordHistory(accountId, number, field, oldValue, newValue, source) {
+  if ((oldValue ?? null) === (newValue ?? null)) return;
+  const stmt = db.prepare(`INSERT INTO order_history (accountId, number, field, oldValue, newValue, source, changedAt)
+    VALUES (?, ?, ?, ?, ?, ?, ?)`);
+  stmt.run(accountId, number, field, oldValue ?? null, newValue ?? null, source, new Date().toISOString());
+}
+
+/**
+ * Get the audit history for an order, oldest first
+ * @param {number} accountId Account the order belongs to
+ * @param {string} number Order number
+ * @returns {OrderHistoryEntry[]}
+ */
+function getOrderHistory(accountId, number) {
+  const stmt = db.prepare(`SELECT field, oldValue, newValue, source, changedAt FROM order_history
+    WHERE accountId = ? AND number = ? ORDER BY changedAt ASC, id ASC`);
+  return stmt.all(accountId, number).map(row => ({
+    field: String(row.field),
+    oldValue: /** @type {string | number | null} */ (row.oldValue),
+    newValue: /** @type {string | number | null} */ (row.newValue),
+    source: /** @type {HistorySource} */ (row.source),
+    changedAt: new Date(String(row.changedAt))
+  }));
+}
+
+/**
+ * Update a single field on an order, recording the change in the audit history
+ * @param {number} accountId Account the order belongs to
+ * @param {string} number Order number
+ * @param {'etv' | 'etvFactor' | 'etvReason' | 'notes' | 'cancelledAt' | 'status' | 'location'} field Field to update
+ * @param {string | number | null} value New value
+ * @param {HistorySource} source Where the change came from
+ */
+function updateOrderField(accountId, number, field, value, source) {
+  runInTransaction(db, () => {
+    const existing = db.prepare(`SELECT ${field} AS value FROM orders WHERE accountId = ? AND number = ?`).get(accountId, number);
+    if (!existing) return;
+    db.prepare(`UPDATE orders SET ${field} = ? WHERE accountId = ? AND number = ?`).run(value, accountId, number);
+    recordHistory(accountId, number, field, /** @type {string | number | null} */ (existing.value), value, source);
+  });
+}
+
+/**
+ * Insert an order into the database if it doesn't already exist
+ * @param {number} accountId Account the order belongs to
+ * @param {Omit<Order, 'accountId'>} order
+ */
+function maybeInsertOrder(accountId, order) {
+  const existing = db.prepare('SELECT etv, deliveredAt FROM orders WHERE accountId = ? AND number = ?').get(accountId, order.number);
+  const deliveredAt = order.deliveredAt?.toISOString() ?? null;
+  const stmt = db.prepare(`INSERT INTO orders (accountId, number, asin, product, orderedAt, deliveredAt, etv, etvFactor, cancelledAt, etvReason)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, NULL, NULL)
+    ON CONFLICT(accountId, number) DO UPDATE SET
+      etv = excluded.etv, deliveredAt = excluded.deliveredAt`);
+  stmt.run(accountId,
+    order.number,
+    order.asin,
+    order.product,
+    order.orderedAt.toISOString(),
+    deliveredAt,
+    order.etv,
+    order.etvFactor);
+  if (existing) {
+    recordHistory(accountId, order.number, 'etv', /** @type {number | null} */ (existing.etv), order.etv, 'import');
+    recordHistory(accountId, order.number, 'deliveredAt', /** @type {string | null} */ (existing.deliveredAt), deliveredAt, 'import');
+  }
+}
+
+/**
+ * Set the ETV factor for an order
+ * @param {number} accountId
+ * @param {string} number
+ * @param {number | null} etvFactor
+ */
+function setETVFactorForOrder(accountId, number, etvFactor) {
+  updateOrderField(accountId, number, 'etvFactor', etvFactor, 'user');
+}
+
+/**
+ * Set the ETV reason for an order
+ * @param {number} accountId
+ * @param {string} number
+ * @param {string | null} reason
+ */
+function setETVReasonForOrder(accountId, number, reason) {
+  if (reason === '') {
+    reason = null;
+  }
+  runInTransaction(db, () => {
+    const existing = getOrder(accountId, number);
+    updateOrderField(accountId, number, 'etvReason', reason, 'user');
+    // Reasons like "Disposed of" say what happened to the item, so record it as a status change too
+    const status = reason !== existing?.etvReason ? getReasons().find(r => r.name === reason)?.status : undefined;
+    if (existing && status && status !== existing.status) {
+      setOrderStatus(accountId, number, status, new Date());
+    }
+  });
+}
+
+/**
+ * @typedef {import('./inventory').InventoryStatus} InventoryStatus
+ */
+/**
+ * @typedef {object} StatusChange
+ * @prop {number} id
+ * @prop {InventoryStatus} status
+ * @prop {Date} changedAt When the item got the status
+ * @prop {Date} recordedAt When the change was recorded, which may be later
+ */
+
+/**
+ * Record an inventory status change. The order's current status is whichever change happened last, so changes can
+ * be recorded after the fact.
+ * @param {number} accountId
+ * @param {string} number Order number
+ * @param {InventoryStatus} status
+ * @param {Date} changedAt When the item got the status
+ */
+function setOrderStatus(accountId, number, status, changedAt) {
+  runInTransaction(db, () => {
+    db.prepare('INSERT INTO order_status_changes (accountId, number, status, changedAt, recordedAt) VALUES (?, ?, ?, ?, ?)')
+      .run(accountId, number, status, changedAt.toISOString(), new Date().toISOString());
+    const latest = getStatusChanges(accountId, number).at(-1);
+    if (!latest) return;
+    updateOrderField(accountId, number, 'status', latest.status, 'user');
+    db.prepare('UPDATE orders SET statusAt = ? WHERE accountId = ? AND number = ?')
+      .run(latest.changedAt.toISOString(), accountId, number);
+  });
+}
+
+/**
+ * Get an order's inventory status changes, oldest first
+ * @param {number} accountId
+ * @param {string} number Order number
+ * @returns {StatusChange[]}
+ */
+function getStatusChanges(accountId, number) {
+  return db.prepare(`SELECT id, status, changedAt, recordedAt FROM order_status_changes
+    WHERE accountId = ? AND number = ? ORDER BY changedAt ASC, id ASC`).all(accountId, number).map(row => ({
+    id: Number(row.id),
+    status: /** @type {InventoryStatus} */ (row.status),
+    changedAt: new Date(String(row.changedAt)),
+    recordedAt: new Date(String(row.recordedAt))
+  }));
+}
+
+/**
+ * Set where an order's item is stored
+ * @param {number} accountId
+ * @param {string} number Order number
+ * @param {string} location Storage location, or empty to clear it
+ */
+function setLocationForOrder(accountId, number, location) {
+  updateOrderField(accountId, number, 'location', location || null, 'user');
+}
+
+/**
+ * Take an order out of the carousel's review queue until a date. Snoozing is part of working through the queue
+ * rather than a change to the order, so it isn't recorded in the order's history.
+ * @param {number} accountId
+ * @param {string} number Order number
+ * @param {Date | null} until When the order comes back, or null to bring it back now
+ */
+function snoozeOrder(accountId, number, until) {
+  db.prepare('UPDATE orders SET snoozedUntil = ? WHERE accountId = ? AND number = ?')
+    .run(until ? until.toISOString() : null, accountId, number);
+}
+
+/**
+ * Set the notes for an order
+ * @param {number} accountId
+ * @param {string} number
+ * @param {string} notes
+ */
+function setNotesForOrder(accountId, number, notes) {
+  updateOrderField(accountId, number, 'notes', notes, 'user');
+}
+
+/**
+ * @typedef {'low' | 'high' | 'other'} ReasonKind Which group a reason is listed under when picking one
+ */
+/**
+ * @typedef {object} Reason
+ * @prop {number} id Reason ID
+ * @prop {string} name Name of the reason, as stored on orders
+ * @prop {ReasonKind} kind
+ * @prop {number | null} defaultFactor ETV factor to apply when the reason is picked, if any
+ * @prop {'bad' | 'adjusted'} reportGroup Which tax report group orders with this reason are listed in
+ * @prop {string | null} reportLabel What the tax report calls the reason, if not its name
+ * @prop {number} sortOrder
+ * @prop {InventoryStatus | null} status Inventory status to record when an order is given the reason, if any
+ */
+
+/**
+ * Get all adjustment reasons, in display order
+ * @returns {Reason[]}
+ */
+function getReasons() {
+  return db.prepare('SELECT * FROM reasons ORDER BY sortOrder ASC, id ASC').all().map(row => ({
+    id: Number(row.id),
+    name: String(row.name),
+    kind: /** @type {ReasonKind} */ (row.kind),
+    defaultFactor: /** @type {number | null} */ (row.defaultFactor),
+    reportGroup: row.reportGroup === 'bad' ? 'bad' : 'adjusted',
+    reportLabel: /** @type {string | null} */ (row.reportLabel),
+    sortOrder: Number(row.sortOrder),
+    status: isInventoryStatus(row.status) ? row.status : null
+  }));
+}
+
+/**
+ * Add an adjustment reason
+ * @param {Omit<Reason, 'id'>} reason
+ * @returns {number} ID of the new reason
+ */
+function createReason(reason) {
+  const result = db.prepare(`INSERT INTO reasons (name, kind, defaultFactor, reportGroup, reportLabel, sortOrder, status)
+    VALUES (?, ?, ?, ?, ?, ?, ?)`)
+    .run(reason.name, reason.kind, reason.defaultFactor, reason.reportGroup, reason.reportLabel, reason.sortOrder,
+      reason.status);
+  return Number(result.lastInsertRowid);
+}
+
+/**
+ * Update an adjustment reason. The name can't change, since it's stored on orders.
+ * @param {number} id Reason ID
+ * @param {Omit<Reason, 'id' | 'name'>} reason
+ * @returns {boolean} Whether the reason exists
+ */
+function updateReason(id, reason) {
+  const result = db.prepare(`UPDATE reasons SET kind = ?, defaultFactor = ?, reportGroup = ?, reportLabel = ?, sortOrder = ?,
+    status = ? WHERE id = ?`)
+    .run(reason.kind, reason.defaultFactor, reason.reportGroup, reason.reportLabel, reason.sortOrder, reason.status, id);
+  return Number(result.changes) > 0;
+}
+
+/**
+ * Delete an adjustment reason. Orders keep the reason's name.
+ * @param {number} id Reason ID
+ * @returns {boolean} Whether the reason existed
+ */
+function deleteReason(id) {
+  return Number(db.prepare('DELETE FROM reasons WHERE id = ?').run(id).changes) > 0;
+}
+
+/**
+ * @typedef {object} FactorPreset
+ * @prop {number} id Preset ID
+ * @prop {number} factor ETV factor
+ * @prop {string} label Label on the preset's button
+ * @prop {boolean} reasonRequired Whether an order adjusted with this preset also needs a reason
+ * @prop {string | null} reportLabel What the tax report calls orders with this factor and no reason
+ * @prop {number} sortOrder
+ */
+
+/**
+ * Get all ETV factor presets, in display order
+ * @returns {FactorPreset[]}
+ */
+function getFactorPresets() {
+  return db.prepare('SELECT * FROM factor_presets ORDER BY sortOrder ASC, factor ASC').all().map(row => ({
+    id: Number(row.id),
+    factor: Number(row.factor),
+    label: String(row.label),
+    reasonRequired: Boolean(row.reasonRequired),
+    reportLabel: /** @type {string | null} */ (row.reportLabel),
+    sortOrder: Number(row.sortOrder)
+  }));
+}
+
+/**
+ * Add an ETV factor preset
+ * @param {Omit<FactorPreset, 'id'>} preset
+ * @returns {number} ID of the new preset
+ */
+function createFactorPreset(preset) {
+  const result = db.prepare(`INSERT INTO factor_presets (factor, label, reasonRequired, reportLabel, sortOrder)
+    VALUES (?, ?, ?, ?, ?)`)
+    .run(preset.factor, preset.label, preset.reasonRequired ? 1 : 0, preset.reportLabel, preset.sortOrder);
+  return Number(result.lastInsertRowid);
+}
+
+/**
+ * Update an ETV factor preset
+ * @param {number} id Preset ID
+ * @param {Omit<FactorPreset, 'id'>} preset
+ * @returns {boolean} Whether the preset exists
+ */
+function updateFactorPreset(id, preset) {
+  const result = db.prepare(`UPDATE factor_presets SET factor = ?, label = ?, reasonRequired = ?, reportLabel = ?, sortOrder = ?
+    WHERE id = ?`)
+    .run(preset.factor, preset.label, preset.reasonRequired ? 1 : 0, preset.reportLabel, preset.sortOrder, id);
+  return Number(result.changes) > 0;
+}
+
+/**
+ * Delete an ETV factor preset. Orders keep their factor.
+ * @param {number} id Preset ID
+ * @returns {boolean} Whether the preset existed
+ */
+function deleteFactorPreset(id) {
+  return Number(db.prepare('DELETE FROM factor_presets WHERE id = ?').run(id).changes) > 0;
+}
+
+/**
+ * @typedef {import('./rules').Rule} Rule
+ * @typedef {import('./rules').RuleCriteria} RuleCriteria
+ */
+
+/**
+ * Get all rules, in the order they're tried
+ * @returns {Rule[]}
+ */
+function getRules() {
+  return db.prepare('SELECT * FROM rules ORDER BY sortOrder ASC, id ASC').all().map(row => ({
+    id: Number(row.id),
+    name: String(row.name),
+    enabled: Boolean(row.enabled),
+    asins: /** @type {string | null} */ (row.asins),
+    productKeywords: /** @type {string | null} */ (row.productKeywords),
+    minEtv: /** @type {number | null} */ (row.minEtv),
+    maxEtv: /** @type {number | null} */ (row.maxEtv),
+    orderedFrom: /** @type {string | null} */ (row.orderedFrom),
+    orderedTo: /** @type {string | null} */ (row.orderedTo),
+    etvFactor: Number(row.etvFactor),
+    etvReason: /** @type {string | null} */ (row.etvReason),
+    sortOrder: Number(row.sortOrder)
+  }));
+}
+
+/**
+ * Add a rule
+ * @param {Omit<Rule, 'id'>} rule
+ * @returns {number} ID of the new rule
+ */
+function createRule(rule) {
+  const result = db.prepare(`INSERT INTO rules (name, enabled, asins, productKeywords, minEtv, maxEtv, orderedFrom, orderedTo,
+    etvFactor, etvReason, sortOrder) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+    .run(rule.name, rule.enabled ? 1 : 0, rule.asins, rule.productKeywords, rule.minEtv, rule.maxEtv, rule.orderedFrom,
+      rule.orderedTo, rule.etvFactor, rule.etvReason, rule.sortOrder);
+  return Number(result.lastInsertRowid);
+}
+
+/**
+ * Update a rule. Orders it already adjusted keep their adjustment.
+ * @param {number} id Rule ID
+ * @param {Omit<Rule, 'id'>} rule
+ * @returns {boolean} Whether the rule exists
+ */
+function updateRule(id, rule) {
+  const result = db.prepare(`UPDATE rules SET name = ?, enabled = ?, asins = ?, productKeywords = ?, minEtv = ?, maxEtv = ?,
+    orderedFrom = ?, orderedTo = ?, etvFactor = ?, etvReason = ?, sortOrder = ? WHERE id = ?`)
+    .run(rule.name, rule.enabled ? 1 : 0, rule.asins, rule.productKeywords, rule.minEtv, rule.maxEtv, rule.orderedFrom,
+      rule.orderedTo, rule.etvFactor, rule.etvReason, rule.sortOrder, id);
+  return Number(result.changes) > 0;
+}
+
+/**
+ * Delete a rule. Orders it already adjusted keep their adjustment.
+ * @param {number} id Rule ID
+ * @returns {boolean} Whether the rule existed
+ */
+function deleteRule(id) {
+  return Number(db.prepare('DELETE FROM rules WHERE id = ?').run(id).changes) > 0;
+}
+
+/**
+ * Adjust an order as a rule says, and record that the rule fired
+ * @param {number} accountId Account the order belongs to
+ * @param {string} number Order number
+ * @param {Rule} rule
+ */
+function applyRuleToOrder(accountId, number, rule) {
+  runInTransaction(db, () => {
+    updateOrderField(accountId, number, 'etvFactor', rule.etvFactor, 'rule');
+    if (rule.etvReason) {
+      updateOrderField(accountId, number, 'etvReason', rule.etvReason, 'rule');
+    }
+    db.prepare('UPDATE orders SET ruleId = ? WHERE accountId = ? AND number = ?').run(rule.id, accountId, number);
+  });
+}
+
+/**
+ * @typedef {'etvChanged' | 'duplicateAsin' | 'replacement'} ReviewKind Why an order needs review: an import changed
+ *   its ETV, it's for a product already ordered, or it looks like a replacement for an earlier order of the product
+ * @typedef {'keepNew' | 'keepOld' | 'dismissed'} ReviewResolution How a review item was resolved. Keeping either
+ *   ETV only applies to changed ETVs.
+ */
+/**
+ * @typedef {object} ReviewItem
+ * @prop {number} id
+ * @prop {number} accountId Account the order belongs to
+ * @prop {string} number Order that needs review
+ * @prop {ReviewKind} kind
+ * @prop {number | null} oldEtv ETV before the import, for a changed ETV
+ * @prop {number | null} newEtv ETV in the import, for a changed ETV
+ * @prop {string | null} relatedNumber Earlier order of the same product, for a repeated ASIN
+ * @prop {Date} createdAt
+ * @prop {Date} [resolvedAt]
+ * @prop {ReviewResolution} [resolution]
+ */
+
+/**
+ * Convert a SQL row to a ReviewItem
+ * @param {Record<string, any>} row
+ * @returns {ReviewItem}
+ */
+function toReviewItem(row) {
+  return {
+    id: row.id,
+    accountId: row.accountId,
+    number: row.number,
+    kind: row.kind,
+    oldEtv: row.oldEtv,
+    newEtv: row.newEtv,
+    relatedNumber: row.relatedNumber,
+    createdAt: new Date(row.createdAt),
+    resolvedAt: row.resolvedAt ? new Date(row.resolvedAt) : undefined,
+    resolution: row.resolution ?? undefined
+  };
+}
+
+/**
+ * Get the review items that haven't been resolved yet, newest first
+ * @param {number} [accountId] Account to get items for, defaults to all accounts
+ * @returns {ReviewItem[]}
+ */
+function getOpenReviewItems(accountId) {
+  return db.prepare(`SELECT * FROM review_items WHERE resolvedAt IS NULL${accountId !== undefined ? ' AND accountId = :accountId' : ''}
+    ORDER BY createdAt DESC, id DESC`).all(onlyDefined({ accountId })).map(toReviewItem);
+}
+
+/**
+ * Count the review items that haven't been resolved yet
+ * @param {number} [accountId] Account to count items for, defaults to all accounts
+ * @returns {number}
+ */
+function countOpenReviewItems(accountId) {
+  const row = db.prepare(`SELECT COUNT(1) AS row_count FROM review_items WHERE resolvedAt IS NULL${accountId !== undefined ? ' AND accountId = :accountId' : ''}`)
+    .get(onlyDefined({ accountId }));
+  return Number(row?.row_count ?? 0);
+}
+
+/**
+ * Get a review item
+ * @param {number} id
+ * @returns {ReviewItem | undefined}
+ */
+function getReviewItem(id) {
+  const row = db.prepare('SELECT * FROM review_items WHERE id = ?').get(id);
+  return row ? toReviewItem(row) : undefined;
+}
+
+/**
+ * Add a changed ETV to the review list. If the order's ETV already changed and hasn't been reviewed, the existing
+ * item is updated to the latest ETV, so it still shows the ETV from before the first change.
+ * @param {number} accountId
+ * @param {string} number Order number
+ * @param {number} oldEtv
+ * @param {number} newEtv
+ */
+function flagEtvChange(accountId, number, oldEtv, newEtv) {
+  const now = new Date().toISOString();
+  const updated = db.prepare(`UPDATE review_items SET newEtv = ?, createdAt = ?
+    WHERE accountId = ? AND number = ? AND kind = 'etvChanged' AND resolvedAt IS NULL`).run(newEtv, now, accountId, number);
+  if (Number(updated.changes) > 0) return;
+  db.prepare(`INSERT INTO review_items (accountId, number, kind, oldEtv, newEtv, createdAt)
+    VALUES (?, ?, 'etvChanged', ?, ?, ?)`).run(accountId, number, oldEtv, newEtv, now);
+}
 
 /**
- * @typedef {Object} Order
- * @prop {string} number Order number
- * @prop {string} asin Product ASIN
- * @prop {string} product Product name
- * @prop {Date} orderedAt Date the order was placed
- * @prop {Date} [deliveredAt] Date the order was delivered
- * @prop {number} etv Original ETV
- * @prop {number | null} etvFactor Residual percent of ETV at transfer to personal use
- * @prop {Date} [cancelledAt] When the order was cancelled, otherwise undefined
- * @prop {string} [etvReason] Reason for ETV adjustment
- * @prop {string} [notes] Additional notes
+ * Check whether an ETV was already reviewed and the old ETV kept, so a re-import shouldn't apply it again
+ * @param {number} accountId
+ * @param {string} number Order number
+ * @param {number} etv ETV in the import
+ * @returns {boolean}
  */
+function isEtvChangeDeclined(accountId, number, etv) {
+  return !!db.prepare(`SELECT 1 FROM review_items
+    WHERE accountId = ? AND number = ? AND kind = 'etvChanged' AND resolution = 'keepOld' AND newEtv = ?`).get(accountId, number, etv);
+}
 
 /**
- * @typedef {object} GetOrdersOptions
- * @prop {boolean} [cancelled] Whether to fetch only cancelled orders (true), or only not-cancelled (false), or all (undefined)
- * @prop {boolean} [nonAdjustedOnly=false] Whether to fetch only non-adjusted orders (true), or all (false)
- * @prop {number} [limit] The max number of orders to retrieve, defaults to all orders
- * @prop {number} [offset] How many orders to offset by
- * @prop {string} [search] A keyword to search for, looks at product name, asin, order number, and order date
- * @prop {number} [year] Whether to limit results to just those ordered in a certain year
- * @prop {string} [sort] Column to sort by
- * @prop {string} [dir] Direction to sort
- * @prop {boolean} [byDelivered=false] Whether to use the delivered date for filtering by year, rather than order date
+ * Add a new order to the review list if the account already has an order for the same product. It's flagged as a
+ * replacement if it has no ETV or an earlier order was cancelled, and as a duplicate otherwise.
+ * @param {number} accountId
+ * @param {Omit<Order, 'accountId'>} order The new order
+ * @returns {boolean} Whether the order was flagged
  */
+function flagRepeatedAsin(accountId, order) {
+  if (!order.asin) return false;
+  const earlier = db.prepare(`SELECT number, cancelledAt FROM orders WHERE accountId = ? AND asin = ? AND number != ?
+    ORDER BY orderedAt ASC`).all(accountId, order.asin, order.number);
+  if (!earlier.length) return false;
+  const cancelled = earlier.find(o => o.cancelledAt);
+  const kind = order.etv === 0 || cancelled ? 'replacement' : 'duplicateAsin';
+  db.prepare(`INSERT INTO review_items (accountId, number, kind, relatedNumber, createdAt) VALUES (?, ?, ?, ?, ?)`)
+    .run(accountId, order.number, kind, String((cancelled ?? earlier[0]).number), new Date().toISOString());
+  return true;
+}
+
 /**
- * @typedef {object} GetOrdersOptionsRows
- * @prop {false} [countOnly] Whether to only return the count rather than the actual records
+ * Resolve a review item. Keeping the old ETV puts it back on the order, and stops later imports changing it again.
+ * @param {ReviewItem} item
+ * @param {ReviewResolution} resolution
  */
+function resolveReviewItem(item, resolution) {
+  runInTransaction(db, () => {
+    if (resolution === 'keepOld' && item.oldEtv !== null) {
+      updateOrderField(item.accountId, item.number, 'etv', item.oldEtv, 'user');
+    }
+    db.prepare('UPDATE review_items SET resolvedAt = ?, resolution = ? WHERE id = ?')
+      .run(new Date().toISOString(), resolution, item.id);
+  });
+}
+
 /**
- * @typedef {object} GetOrdersOptionsCount
- * @prop {true} [countOnly] Whether to only return the count rather than the actual records
+ * @typedef {object} Account
+ * @prop {number} id Account ID
+ * @prop {string} name Display name, also the name of the account's inbox folder
  */
+
 /**
- * @overload
- * Fetch orders from SQL
- * @param {GetOrdersOptions & GetOrdersOptionsRows} options
- * @returns {Order[]} List of orders
+ * Get all accounts, oldest first
+ * @returns {Account[]}
  */
+function getAccounts() {
+  return db.prepare('SELECT id, name FROM accounts ORDER BY id ASC').all().map(toAccount);
+}
+
 /**
- * @overload
- * Fetch order count from SQL
- * @param {GetOrdersOptions & GetOrdersOptionsCount} options
- * @returns {number} Count of orders
+ * Get a single account
+ * @param {number} id Account ID
+ * @returns {Account | undefined}
  */
+function getAccount(id) {
+  const row = db.prepare('SELECT id, name FROM accounts WHERE id = ?').get(id);
+  return row ? toAccount(row) : undefined;
+}
+
 /**
- * @param {GetOrdersOptions & (GetOrdersOptionsRows | GetOrdersOptionsCount)} options
+ * Get a single account by name, ignoring case
+ * @param {string} name Account name
+ * @returns {Account | undefined}
  */
-function getOrders({
-  cancelled,
-  nonAdjustedOnly = false,
-  limit,
-  offset,
-  search,
-  year,
-  countOnly = false,
-  sort,
-  dir,
-  byDelivered = false,
-}) {
-  /** @type {string | null} */
-  let keyword = null;
-  /** @type {string | null} */
-  let startDate = null;
-  /** @type {string | null} */
-  let endDate = null;
-  if (year) {
-    const dt = new Date(year, 0, 1, 0, 0, 0, 0);
-    startDate = dt.toISOString();
-    dt.setMonth(11, 31)
-    dt.setHours(11, 59, 59, 999);
-    endDate = dt.toISOString();
-  }
-  if (search) {
-    if (/^\d{4}-\d{2}-\d{2}$/.test(search)) {
-      const dt = new Date();
-      const [strYear, strMonth, strDay] = search.split('-');
-      const year = safeParseInt(strYear);
-      const month = safeParseInt(strMonth);
-      const day = safeParseInt(strDay);
-      if (!year || !month || !day) throw new Error('Invalid date');
-      dt.setFullYear(year, month - 1, day);
-      dt.setHours(0, 0, 0, 0);
-      startDate = dt.toISOString();
-      dt.setHours(23, 59, 59, 999);
-      endDate = dt.toISOString();
-    } else {
-      keyword = '%' + search + '%';
-    }
-  }
-  let sortCol = 'orderedAt';
-  if (!countOnly && sort && ['etv', 'etvFactor', 'adjustedEtv'].includes(sort)) {
-    sortCol = sort;
-  }
-  const sortDir = countOnly ? 'ASC' : (dir === 'asc' ? 'ASC' : 'DESC');
-  const statement = `SELECT ${countOnly ?
-    'COUNT(1) as row_count' : '*, etv * COALESCE(etvFactor, 0) AS adjustedEtv'
-  } FROM orders WHERE 1${typeof cancelled !== 'undefined' ? ` AND cancelledAt ${cancelled ? 'IS NOT NULL' : 'IS NULL'}` : ""}${!!keyword ?
-    " AND (number LIKE :keyword OR asin LIKE :keyword OR product LIKE :keyword)" : ""
-  }${!!startDate ?
-    ` AND (${byDelivered ? 'deliveredAt' : 'orderedAt'} >= :startDate OR cancelledAt >= :startDate)` : ""
-  }${!!endDate ?
-    ` AND (${byDelivered ? 'deliveredAt' : 'orderedAt'} <= :endDate OR cancelledAt <= :endDate)` : ""
-  }${nonAdjustedOnly ?
-    " AND etv != 0.0 AND (etvFactor IS NULL OR (etvFactor IS NOT NULL AND etvFactor != 0.2 AND etvFactor != 1 AND etvReason IS NULL))" : ""
-  } ORDER BY ${sortCol} ${sortDir}${typeof limit === 'number' ?
-    " LIMIT :limit" : ""
-  }${typeof offset === 'number' ?
-    " OFFSET :offset" : ""
-  }`;
-  const query = db.prepare(statement);
+function getAccountByName(name) {
+  const row = db.prepare('SELECT id, name FROM accounts WHERE name = ? COLLATE NOCASE').get(name);
+  return row ? toAccount(row) : undefined;
+}
 
-  const variables = onlyDefined({
-    keyword: keyword,
-    startDate: startDate,
-    endDate: endDate,
-    limit: limit,
-    offset: offset
-  });
+/**
+ * Create an account
+ * @param {string} name Account name
+ * @returns {Account}
+ */
+function createAccount(name) {
+  const result = db.prepare('INSERT INTO accounts (name, createdAt) VALUES (?, ?)').run(name, new Date().toISOString());
+  return { id: Number(result.lastInsertRowid), name };
+}
 
-  if (countOnly) {
-    const result = query.get(variables);
-    return result?.row_count ?? 0;
+/**
+ * Convert a SQL row to an Account
+ * @param {Record<string, any>} row
+ * @returns {Account}
+ */
+function toAccount(row) {
+  return {
+    id: row.id,
+    name: row.name
+  };
+}
+
+/**
+ * @typedef {object} ApiToken
+ * @prop {number} id Token ID
+ * @prop {string} name What the token is for, e.g. "Node-RED"
+ * @prop {Date} createdAt
+ * @prop {Date} [lastUsedAt] When the token was last used to call the API
+ */
+
+/**
+ * Get all API tokens, without the tokens themselves, which are only shown when created
+ * @returns {ApiToken[]}
+ */
+function getApiTokens() {
+  return db.prepare('SELECT id, name, createdAt, lastUsedAt FROM api_tokens ORDER BY id').all().map(row => ({
+    id: row.id,
+    name: row.name,
+    createdAt: new Date(row.createdAt),
+    lastUsedAt: row.lastUsedAt ? new Date(row.lastUsedAt) : undefined
+  }));
+}
+
+/**
+ * Hash an API token for storage and lookup
+ * @param {string} token
+ * @returns {string}
+ */
+function hashApiToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Create an API token
+ * @param {string} name What the token is for
+ * @returns {{ id: number, token: string }} The new token, which can't be retrieved again
+ */
+function createApiToken(name) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const result = db.prepare('INSERT INTO api_tokens (name, tokenHash, createdAt) VALUES (?, ?, ?)')
+    .run(name, hashApiToken(token), new Date().toISOString());
+  return { id: Number(result.lastInsertRowid), token };
+}
+
+/**
+ * Revoke an API token
+ * @param {number} id Token ID
+ * @returns {boolean} Whether the token existed
+ */
+function deleteApiToken(id) {
+  return Number(db.prepare('DELETE FROM api_tokens WHERE id = ?').run(id).changes) > 0;
+}
+
+/**
+ * Look up an API token, recording that it was used
+ * @param {string} token The token sent by the client
+ * @returns {boolean} Whether the token is valid
+ */
+function useApiToken(token) {
+  const result = db.prepare('UPDATE api_tokens SET lastUsedAt = ? WHERE tokenHash = ?')
+    .run(new Date().toISOString(), hashApiToken(token));
+  return Number(result.changes) > 0;
+}
+
+/**
+ * Find which accounts have an order with the given number
+ * @param {string} number Order number
+ * @returns {number[]} Account IDs
+ */
+function getAccountIdsForOrder(number) {
+  return db.prepare('SELECT accountId FROM orders WHERE number = ? ORDER BY accountId ASC').all(number).map(row => Number(row.accountId));
+}
+
+/**
+ * Get a single order
+ * @param {number} accountId Account the order belongs to
+ * @param {string} number Order number
+ * @returns {Order | undefined} The order, or undefined if not found
+ */
+function getOrder(accountId, number) {
+  const row = db.prepare('SELECT * FROM orders WHERE accountId = ? AND number = ?').get(accountId, number);
+  return row ? toOrder(row) : undefined;
+}
+
+/**
+ * @typedef {object} OrderPhoto
+ * @prop {number} id Photo ID
+ * @prop {number} accountId Account the photo's order belongs to
+ * @prop {string} number Order number the photo belongs to
+ * @prop {string} filename Name of the file on disk, under the order's photo directory
+ * @prop {string | null} originalName Name of the file as uploaded
+ * @prop {string | null} mimetype MIME type of the file
+ * @prop {Date} uploadedAt When the photo was uploaded
+ */
+
+/**
+ * Convert a SQL row to an OrderPhoto
+ * @param {Record<string, any>} row
+ * @returns {OrderPhoto}
+ */
+function toPhoto(row) {
+  return {
+    id: row.id,
+    accountId: row.accountId,
+    number: row.number,
+    filename: row.filename,
+    originalName: row.originalName,
+    mimetype: row.mimetype,
+    uploadedAt: new Date(row.uploadedAt)
+  };
+}
+
+/**
+ * Get the photos attached to an order
+ * @param {number} accountId Account the order belongs to
+ * @param {string} number Order number
+ * @returns {OrderPhoto[]}
+ */
+function getPhotosForOrder(accountId, number) {
+  return db.prepare('SELECT * FROM order_photos WHERE accountId = ? AND number = ? ORDER BY uploadedAt ASC, id ASC')
+    .all(accountId, number).map(toPhoto);
+}
+
+/**
+ * Get a single photo attached to an order
+ * @param {number} accountId Account the order belongs to
+ * @param {string} number Order number
+ * @param {number | undefined} id Photo ID
+ * @returns {OrderPhoto | undefined}
+ */
+function getPhoto(accountId, number, id) {
+  if (id === undefined) return undefined;
+  const row = db.prepare('SELECT * FROM order_photos WHERE accountId = ? AND number = ? AND id = ?').get(accountId, number, id);
+  return row ? toPhoto(row) : undefined;
+}
+
+/**
+ * Check whether an order's photos can be kept in a directory named after its order number. Order numbers come from
+ * user input, so ones with path separators or "..", which could escape the photos directory or share another
+ * order's, can't.
+ * @param {string} number Order number
+ * @returns {boolean}
+ */
+function isSafePhotoDir(number) {
+  return Boolean(number) && number !== '.' && !number.includes('..') && !/[/\\\0]/.test(number);
+}
+
+/**
+ * Get the directory on disk of an order's photos
+ * @param {string} number Order number
+ * @returns {string}
+ * @throws {Error} If the order number isn't safe to use as a directory name
+ */
+function getPhotoDir(number) {
+  if (!isSafePhotoDir(number)) {
+    throw new Error(`Invalid order number '${number}' for photos`);
   }
+  return path.join(photosBasePath, number);
+}
 
-  const orders = query.all(variables);
-  return orders.map(toOrder);
+/**
+ * Get the path on disk of a photo
+ * @param {OrderPhoto} photo
+ * @returns {string}
+ */
+function getPhotoPath(photo) {
+  return path.join(getPhotoDir(photo.number), path.basename(photo.filename));
 }
 
 /**
- * Return an object that only contains the keys of input that were defined
- * @param {Record<string, NonNullable<any> | undefined | null>} input 
- * @returns {Record<string, NonNullable<any>>}
+ * Save an uploaded photo to disk and attach it to an order
+ * @param {number} accountId Account the order belongs to
+ * @param {string} number Order number
+ * @param {import('express-fileupload').UploadedFile} file Uploaded file
+ * @returns {OrderPhoto} The attached photo
  */
-function onlyDefined(input) {
-  return Object.fromEntries(Object.entries(input).filter(([key, value]) => value !== undefined && value !== null));
+function addPhotoToOrder(accountId, number, file) {
+  const ext = path.extname(file.name).toLowerCase().replace(/[^.a-z0-9]/g, '');
+  const filename = `${crypto.randomUUID()}${ext}`;
+  const uploadedAt = new Date().toISOString();
+  const dest = path.join(getPhotoDir(number), filename);
+  fs.mkdirSync(path.dirname(dest), { recursive: true });
+  fs.writeFileSync(dest, file.data);
+
+  /** @type {OrderPhoto | undefined} */
+  let photo;
+  runInTransaction(db, () => {
+    const result = db.prepare(`INSERT INTO order_photos (accountId, number, filename, originalName, mimetype, uploadedAt)
+      VALUES (?, ?, ?, ?, ?, ?)`).run(accountId, number, filename, file.name, file.mimetype, uploadedAt);
+    recordHistory(accountId, number, 'photo', null, file.name, 'user');
+    photo = getPhoto(accountId, number, Number(result.lastInsertRowid));
+  });
+  if (!photo) throw new Error('Failed to save photo');
+  return photo;
 }
 
 /**
- * Insert an order into the database if it doesn't already exist
- * @param {Order} order
+ * Detach a photo from its order and delete it from disk
+ * @param {OrderPhoto} photo
  */
-function maybeInsertOrder(order) {
-  const stmt = db.prepare(`INSERT INTO orders (number, asin, product, orderedAt, deliveredAt, etv, etvFactor, cancelledAt, etvReason)
-    VALUES (?, ?, ?, ?, ?, ?, ?, NULL, NULL)
-    ON CONFLICT(number) DO UPDATE SET
-      etv = excluded.etv, deliveredAt = excluded.deliveredAt`);
-  stmt.run(order.number,
-    order.asin,
-    order.product,
-    order.orderedAt.toISOString(),
-    order.deliveredAt?.toISOString() ?? null,
-    order.etv,
-    order.etvFactor);
+function deletePhoto(photo) {
+  const filePath = getPhotoPath(photo);
+  runInTransaction(db, () => {
+    db.prepare('DELETE FROM order_photos WHERE id = ?').run(photo.id);
+    recordHistory(photo.accountId, photo.number, 'photo', photo.originalName ?? photo.filename, null, 'user');
+  });
+  fs.rmSync(filePath, { force: true });
 }
 
 /**
- * Set the ETV factor for an order
- * @param {string} number
- * @param {number | null} etvFactor
+ * @typedef {object} OrderComp
+ * @prop {number} id Comparable price ID
+ * @prop {number} accountId Account the order belongs to
+ * @prop {string} number Order number the price is for
+ * @prop {string} sourceId Price source that found the price
+ * @prop {string} source Where the price was seen
+ * @prop {string | null} url Link to the listing, if any
+ * @prop {number} price Price in dollars
+ * @prop {Date} checkedAt When the price was checked
+ */
+
+/**
+ * Convert a SQL row to an OrderComp
+ * @param {Record<string, any>} row
+ * @returns {OrderComp}
+ */
+function toComp(row) {
+  return {
+    id: row.id,
+    accountId: row.accountId,
+    number: row.number,
+    sourceId: row.sourceId,
+    source: row.source,
+    url: row.url,
+    price: row.price,
+    checkedAt: new Date(row.checkedAt)
+  };
+}
+
+/**
+ * Get the comparable prices recorded for an order
+ * @param {number} accountId Account the order belongs to
+ * @param {string} number Order number
+ * @returns {OrderComp[]}
  */
-function setETVFactorForOrder(number, etvFactor) {
-  const stmt = db.prepare(`UPDATE orders SET etvFactor = ? WHERE number = ?`);
-  stmt.run(etvFactor, number);
+function getCompsForOrder(accountId, number) {
+  return db.prepare('SELECT * FROM order_comps WHERE accountId = ? AND number = ? ORDER BY checkedAt ASC, id ASC')
+    .all(accountId, number).map(toComp);
 }
 
 /**
- * Set the ETV reason for an order
- * @param {string} number
- * @param {string | null} reason
+ * Get the comparable prices for every order at once, keyed by `accountId:number`
+ * @param {number} [accountId] Account to fetch prices for, defaults to all accounts
+ * @returns {Map<string, OrderComp[]>}
  */
-function setETVReasonForOrder(number, reason) {
-  if (reason === '') {
-    reason = null;
+function getCompsByOrder(accountId) {
+  const rows = accountId === undefined
+    ? db.prepare('SELECT * FROM order_comps ORDER BY checkedAt ASC, id ASC').all()
+    : db.prepare('SELECT * FROM order_comps WHERE accountId = ? ORDER BY checkedAt ASC, id ASC').all(accountId);
+  /** @type {Map<string, OrderComp[]>} */
+  const byOrder = new Map();
+  for (const comp of rows.map(toComp)) {
+    const key = `${comp.accountId}:${comp.number}`;
+    byOrder.set(key, [...byOrder.get(key) ?? [], comp]);
   }
-  const stmt = db.prepare(`UPDATE orders SET etvReason = ? WHERE number = ?`);
-  stmt.run(reason, number);
+  return byOrder;
 }
 
 /**
- * Set the notes for an order
- * @param {string} number
- * @param {string} notes
+ * Get a single comparable price recorded for an order
+ * @param {number} accountId Account the order belongs to
+ * @param {string} number Order number
+ * @param {number | undefined} id Comparable price ID
+ * @returns {OrderComp | undefined}
+ */
+function getComp(accountId, number, id) {
+  if (id === undefined) return undefined;
+  const row = db.prepare('SELECT * FROM order_comps WHERE accountId = ? AND number = ? AND id = ?').get(accountId, number, id);
+  return row ? toComp(row) : undefined;
+}
+
+/**
+ * Record comparable prices for an order
+ * @param {number} accountId Account the order belongs to
+ * @param {string} number Order number
+ * @param {string} sourceId Price source that found the prices
+ * @param {import('./price-sources').PriceQuote[]} quotes
+ * @returns {OrderComp[]} The recorded prices
  */
-function setNotesForOrder(number, notes) {
-  const stmt = db.prepare(`UPDATE orders SET notes = ? WHERE number = ?`);
-  stmt.run(notes, number);
+function addCompsToOrder(accountId, number, sourceId, quotes) {
+  /** @type {OrderComp[]} */
+  const comps = [];
+  runInTransaction(db, () => {
+    for (const quote of quotes) {
+      const result = db.prepare(`INSERT INTO order_comps (accountId, number, sourceId, source, url, price, checkedAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?)`)
+        .run(accountId, number, sourceId, quote.source, quote.url, quote.price, quote.checkedAt.toISOString());
+      recordHistory(accountId, number, 'comp', null, formatComp(quote), 'user');
+      comps.push(/** @type {OrderComp} */ (getComp(accountId, number, Number(result.lastInsertRowid))));
+    }
+  });
+  return comps;
+}
+
+/**
+ * Remove a comparable price from its order
+ * @param {OrderComp} comp
+ */
+function deleteComp(comp) {
+  runInTransaction(db, () => {
+    db.prepare('DELETE FROM order_comps WHERE id = ?').run(comp.id);
+    recordHistory(comp.accountId, comp.number, 'comp', formatComp(comp), null, 'user');
+  });
+}
+
+/**
+ * Describe a comparable price in the audit history
+ * @param {{ source: string, price: number }} comp
+ * @returns {string}
+ */
+function formatComp(comp) {
+  return `${comp.source}: $${comp.price.toFixed(2)}`;
 }
 
 /**
@@ -644,6 +3607,7 @@ function setNotesForOrder(number, notes) {
  */
 function toOrder(row) {
   return {
+    accountId: row.accountId,
     number: row.number,
     asin: row.asin,
     product: row.product,
@@ -653,7 +3617,13 @@ function toOrder(row) {
     etv: row.etv,
     etvFactor: row.etvFactor,
     cancelledAt: row.cancelledAt ? new Date(row.cancelledAt) : undefined,
-    etvReason: row.etvReason
+    etvReason: row.etvReason,
+    notes: row.notes ?? undefined,
+    ruleId: row.ruleId ?? undefined,
+    status: row.status ?? undefined,
+    statusAt: row.statusAt ? new Date(row.statusAt) : undefined,
+    location: row.location ?? undefined,
+    snoozedUntil: row.snoozedUntil ? new Date(row.snoozedUntil) : undefined
   };
 }
 
@@ -671,6 +3641,72 @@ function safeParseInt(value) {
   return num;
 }
 
+/**
+ * Parse a tax year from a request parameter
+ * @param {string | undefined} value The value to parse
+ * @returns {number | undefined} The year, or undefined if it isn't a plausible year
+ */
+function parseYear(value) {
+  if (!value || !/^\d{4}$/.test(value)) return undefined;
+  const year = parseInt(value, 10);
+  if (year < 2000 || year > 3000) return undefined;
+  return year;
+}
+
+/**
+ * Parse a date range from the `from` and `to` query string parameters, as YYYY-MM-DD days in local time. Either
+ * may be left out.
+ * @param {import('qs').ParsedQs} params
+ * @returns {{ error: string } | { from?: Date, to?: Date }}
+ */
+function parseDateRange(params) {
+  /** @type {{ from?: Date, to?: Date }} */
+  const range = {};
+  for (const name of /** @type {const} */ (['from', 'to'])) {
+    if (params[name] === undefined || params[name] === '') continue;
+    const value = safeQsString(params[name]);
+    const date = value === undefined ? undefined : parseDateString(value);
+    if (!date) {
+      return { error: `Invalid ${name} '${params[name]}'. Must be a date like YYYY-MM-DD` };
+    }
+    range[name] = date;
+  }
+  if (range.from && range.to && range.from > range.to) {
+    return { error: 'Invalid range. from must not be after to' };
+  }
+  return range;
+}
+
+/**
+ * Parse an optional number from a query string parameter, or a number in a JSON body
+ * @param {import('qs').ParsedQs} params
+ * @param {string} name Parameter name
+ * @returns {{ error: string } | { value?: number }} The number, or no value if the parameter is empty
+ */
+function parseNumberParam(params, name) {
+  const raw = params[name];
+  if (raw === undefined || raw === '') return {};
+  const value = typeof raw === 'number' ? raw : Number(safeQsString(raw) ?? NaN);
+  if (!Number.isFinite(value)) {
+    return { error: `Invalid ${name} '${raw}'. Must be a number` };
+  }
+  return { value };
+}
+
+/**
+ * Parse an optional boolean from a query string parameter, or a boolean in a JSON body
+ * @param {import('qs').ParsedQs} params
+ * @param {string} name Parameter name
+ * @returns {{ error: string } | { value?: boolean }} The boolean, or no value if the parameter is empty
+ */
+function parseBooleanParam(params, name) {
+  const raw = params[name];
+  if (raw === undefined || raw === '') return {};
+  if (raw === true || raw === 'true') return { value: true };
+  if (raw === false || raw === 'false') return { value: false };
+  return { error: `Invalid ${name} '${raw}'. Must be true or false` };
+}
+
 /**
  * Parse a single string from a query string value, or return undefined
  * @param {string | qs.ParsedQs | (string | qs.ParsedQs)[] | undefined} value The value to parse
@@ -682,3 +3718,56 @@ function safeQsString(value) {
   if (typeof value !== 'string') return undefined;
   return value;
 }
+
+/**
+ * Read a cookie from a request
+ * @param {import('express').Request} req
+ * @param {string} name Cookie name
+ * @returns {string | undefined} The cookie value, or undefined if not set
+ */
+function getCookie(req, name) {
+  for (const part of (req.headers.cookie ?? '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return undefined;
+}
+
+/**
+ * Get the account a request is scoped to, from the `account` query parameter or the account switcher's cookie
+ * @param {import('express').Request} req
+ * @returns {number | undefined} Account ID, or undefined for the combined view of all accounts
+ */
+function getAccountScope(req) {
+  const value = safeQsString(req.query['account']) ?? getCookie(req, ACCOUNT_COOKIE);
+  if (value === 'all') return undefined;
+  const id = safeParseInt(value);
+  if (id !== undefined && getAccount(id)) return id;
+  return getAccounts()[0].id;
+}
+
+/**
+ * Resolve which account an order in a request belongs to. In the combined view the order number is looked up
+ * across all accounts. Sends an error response and returns undefined if the order can't be resolved.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {string} number Order number
+ * @returns {number | undefined} Account ID
+ */
+function findOrderAccount(req, res, number) {
+  const scope = getAccountScope(req);
+  const accountIds = getAccountIdsForOrder(number).filter(id => scope === undefined || id === scope);
+  if (!accountIds.length) {
+    const error = `Order '${number}' not found`;
+    console.error(error);
+    res.status(404).json({ error });
+    return undefined;
+  }
+  if (accountIds.length > 1) {
+    const error = `Order '${number}' exists in more than one account. Please choose an account.`;
+    console.error(error);
+    res.status(409).json({ error });
+    return undefined;
+  }
+  return accountIds[0];
+}
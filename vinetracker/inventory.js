@@ -0,0 +1,73 @@
+/**
+ * @typedef {import('./index').Order} Order
+ */
+
+/**
+ * @typedef {'received' | 'inUse' | 'gifted' | 'donated' | 'disposed' | 'returned'} InventoryStatus Where a received
+ *   item is in its lifecycle
+ */
+/**
+ * @typedef {object} InventoryStatusInfo
+ * @prop {InventoryStatus} id
+ * @prop {string} label Display name
+ * @prop {boolean} inPossession Whether the item is still on hand in this status, rather than gone
+ */
+
+/**
+ * Every status, in lifecycle order
+ * @type {InventoryStatusInfo[]}
+ */
+const inventoryStatuses = [
+  { id: 'received', label: 'Received', inPossession: true },
+  { id: 'inUse', label: 'In use', inPossession: true },
+  { id: 'gifted', label: 'Gifted', inPossession: false },
+  { id: 'donated', label: 'Donated', inPossession: false },
+  { id: 'disposed', label: 'Disposed', inPossession: false },
+  { id: 'returned', label: 'Returned', inPossession: false }
+];
+
+// Vine items must be kept this long before they can be given away or disposed of
+const RETENTION_MONTHS = 6;
+
+/**
+ * Check whether a value is a known inventory status
+ * @param {unknown} value
+ * @returns {value is InventoryStatus}
+ */
+function isInventoryStatus(value) {
+  return inventoryStatuses.some(s => s.id === value);
+}
+
+/**
+ * Get the date after which an item can be given away or disposed of: the end of the retention period from when it
+ * shipped
+ * @param {Order} order
+ * @returns {Date | undefined} The date, or undefined if the order hasn't shipped
+ */
+function getDisposalEligibleDate(order) {
+  if (!order.deliveredAt) return undefined;
+  const shipped = order.deliveredAt;
+  const eligible = new Date(shipped.getFullYear(), shipped.getMonth() + RETENTION_MONTHS, 1);
+  // Clamp to the end of the month, so e.g. Aug 31 becomes Feb 28 rather than rolling over into March
+  const lastDay = new Date(eligible.getFullYear(), eligible.getMonth() + 1, 0).getDate();
+  eligible.setDate(Math.min(shipped.getDate(), lastDay));
+  return eligible;
+}
+
+/**
+ * Check whether an item's retention period has passed
+ * @param {Order} order
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isEligibleForDisposal(order, now = new Date()) {
+  const eligible = getDisposalEligibleDate(order);
+  return !!eligible && eligible <= now;
+}
+
+module.exports = {
+  inventoryStatuses,
+  isInventoryStatus,
+  getDisposalEligibleDate,
+  isEligibleForDisposal
+};
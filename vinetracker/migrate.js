@@ -1,38 +1,105 @@
+const registry = require('./migrations');
+const latestSchema = require('./migrations/schema');
+
+/**
+ * @typedef {object} MigrateOptions
+ * @prop {import('./migrations').Migration[]} [migrations] Migrations to apply, defaults to the registry
+ * @prop {string} [schema] SQL used to create a fresh DB, defaults to the latest schema
+ * @prop {(fromVersion: number) => string} [backupPath] Where to write a backup before migrating, if anywhere
+ */
+
 /**
- * Migrate the DB to the latest schema version
+ * Migrate the DB to the latest schema version. A fresh DB gets the latest schema directly. An existing DB
+ * has each pending migration applied in its own transaction. Throws if any migration fails.
  * @param {import('node:sqlite').DatabaseSync} db
+ * @param {MigrateOptions} [options]
  */
-export function migrate(db) {
-  const versionResult = db.prepare('PRAGMA user_version').get();
-  let currentVersion = versionResult ? Number(versionResult['user_version']) : 1;
-  if (Number.isNaN(currentVersion)) {
-    currentVersion = 1;
+function migrate(db, { migrations = registry, schema = latestSchema, backupPath } = {}) {
+  const targetVersion = migrations.at(-1)?.version ?? 1;
+
+  if (!tableExists(db, 'orders')) {
+    console.log(`Creating DB at v${targetVersion}...`);
+    runInTransaction(db, () => {
+      db.exec(schema);
+      db.exec(`PRAGMA user_version = ${targetVersion}`);
+    });
+    return;
   }
 
-  const TARGET_VERSION = 2;
-  if (currentVersion < TARGET_VERSION) {
-    console.log(`Migrating DB from v${currentVersion} to v${TARGET_VERSION}...`);
+  const currentVersion = getVersion(db);
+  if (currentVersion > targetVersion) {
+    throw new Error(`DB is at v${currentVersion}, which is newer than the latest known v${targetVersion}. Please update the addon.`);
+  }
+  const pending = migrations.filter(m => m.version > currentVersion);
+  if (!pending.length) return;
 
-    if (currentVersion < 2) {
-      try {
-        // Wrap in a transaction to ensure both happen or neither happens
-        db.exec('BEGIN TRANSACTION');
+  console.log(`Migrating DB from v${currentVersion} to v${targetVersion}...`);
+  if (backupPath) {
+    const dest = backupPath(currentVersion);
+    db.prepare('VACUUM INTO ?').run(dest);
+    console.log(`Backed up DB to ${dest}`);
+  }
 
-        // 1. Remove the old integer column
-        db.exec('ALTER TABLE orders DROP COLUMN cancelled');
+  for (const migration of pending) {
+    try {
+      runInTransaction(db, () => {
+        migration.up(db);
+        db.exec(`PRAGMA user_version = ${migration.version}`);
+      });
+    } catch (err) {
+      throw new Error(`Migration to v${migration.version} (${migration.description}) failed, changes rolled back`, { cause: err });
+    }
+    console.log(`Migrated DB to v${migration.version}: ${migration.description}`);
+  }
+}
 
-        // 2. Add the new TEXT column (defaults to NULL automatically)
-        db.exec('ALTER TABLE orders ADD COLUMN cancelledAt TEXT');
+/**
+ * Get the current schema version. DBs created before versioning was introduced report 0, which is v1.
+ * @param {import('node:sqlite').DatabaseSync} db
+ * @returns {number}
+ */
+function getVersion(db) {
+  const versionResult = db.prepare('PRAGMA user_version').get();
+  const version = versionResult ? Number(versionResult['user_version']) : 1;
+  if (Number.isNaN(version) || version < 1) {
+    return 1;
+  }
+  return version;
+}
 
-        // 3. Update the schema version
-        db.exec('PRAGMA user_version = 2');
+/**
+ * Check whether a table exists
+ * @param {import('node:sqlite').DatabaseSync} db
+ * @param {string} name Table name
+ * @returns {boolean}
+ */
+function tableExists(db, name) {
+  return Boolean(db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?`).get(name));
+}
 
-        db.exec('COMMIT');
-        console.log('Schema updated successfully: cancelled -> cancelledAt');
-      } catch (err) {
-        db.exec('ROLLBACK');
-        console.error('Migration failed, changes rolled back:', err);
-      }
-    }
+let savepointCount = 0;
+/**
+ * Run a function inside a transaction, rolling back and rethrowing if it throws. Uses savepoints, so calls
+ * may be nested; only the outermost one commits.
+ * @param {import('node:sqlite').DatabaseSync} db
+ * @param {() => void} fn
+ */
+function runInTransaction(db, fn) {
+  const savepoint = `sp_${++savepointCount}`;
+  db.exec(`SAVEPOINT ${savepoint}`);
+  try {
+    fn();
+    db.exec(`RELEASE ${savepoint}`);
+  } catch (err) {
+    db.exec(`ROLLBACK TO ${savepoint}`);
+    db.exec(`RELEASE ${savepoint}`);
+    throw err;
   }
 }
+
+module.exports = {
+  migrate,
+  getVersion,
+  runInTransaction,
+  tableExists
+};
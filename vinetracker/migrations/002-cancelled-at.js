@@ -0,0 +1,9 @@
+/** @type {import('.').Migration} */
+module.exports = {
+  version: 2,
+  description: 'Replace cancelled flag with cancelledAt',
+  up(db) {
+    db.exec('ALTER TABLE orders DROP COLUMN cancelled');
+    db.exec('ALTER TABLE orders ADD COLUMN cancelledAt TEXT');
+  }
+};
@@ -0,0 +1,17 @@
+/** @type {import('.').Migration} */
+module.exports = {
+  version: 3,
+  description: 'Add order_history audit table',
+  up(db) {
+    db.exec(`CREATE TABLE order_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      number TEXT NOT NULL,
+      field TEXT NOT NULL,
+      oldValue,
+      newValue,
+      source TEXT NOT NULL,
+      changedAt TEXT NOT NULL
+    )`);
+    db.exec('CREATE INDEX order_history_number ON order_history (number, changedAt)');
+  }
+};
@@ -0,0 +1,16 @@
+/** @type {import('.').Migration} */
+module.exports = {
+  version: 4,
+  description: 'Add order_photos table',
+  up(db) {
+    db.exec(`CREATE TABLE order_photos (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      number TEXT NOT NULL,
+      filename TEXT NOT NULL,
+      originalName TEXT,
+      mimetype TEXT,
+      uploadedAt TEXT NOT NULL
+    )`);
+    db.exec('CREATE INDEX order_photos_number ON order_photos (number)');
+  }
+};
@@ -0,0 +1,41 @@
+/** @type {import('.').Migration} */
+module.exports = {
+  version: 5,
+  description: 'Add accounts and scope orders to an account',
+  up(db) {
+    db.exec(`CREATE TABLE accounts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      createdAt TEXT NOT NULL
+    )`);
+    db.prepare(`INSERT INTO accounts (id, name, createdAt) VALUES (1, 'Default', ?)`).run(new Date().toISOString());
+
+    // SQLite can't change a primary key in place, so rebuild the table
+    db.exec(`CREATE TABLE orders_new (
+      accountId INTEGER NOT NULL DEFAULT 1 REFERENCES accounts (id),
+      number TEXT NOT NULL,
+      asin TEXT,
+      product TEXT,
+      orderedAt TEXT,
+      deliveredAt TEXT,
+      etv REAL,
+      etvFactor REAL,
+      etvReason TEXT,
+      notes TEXT,
+      cancelledAt TEXT,
+      PRIMARY KEY (accountId, number)
+    )`);
+    db.exec(`INSERT INTO orders_new (accountId, number, asin, product, orderedAt, deliveredAt, etv, etvFactor, etvReason, notes, cancelledAt)
+      SELECT 1, number, asin, product, orderedAt, deliveredAt, etv, etvFactor, etvReason, notes, cancelledAt FROM orders`);
+    db.exec('DROP TABLE orders');
+    db.exec('ALTER TABLE orders_new RENAME TO orders');
+
+    db.exec('ALTER TABLE order_history ADD COLUMN accountId INTEGER NOT NULL DEFAULT 1');
+    db.exec('DROP INDEX order_history_number');
+    db.exec('CREATE INDEX order_history_number ON order_history (accountId, number, changedAt)');
+
+    db.exec('ALTER TABLE order_photos ADD COLUMN accountId INTEGER NOT NULL DEFAULT 1');
+    db.exec('DROP INDEX order_photos_number');
+    db.exec('CREATE INDEX order_photos_number ON order_photos (accountId, number)');
+  }
+};
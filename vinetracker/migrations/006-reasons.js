@@ -0,0 +1,39 @@
+/** @type {import('.').Migration} */
+module.exports = {
+  version: 6,
+  description: 'Add configurable adjustment reasons and factor presets',
+  up(db) {
+    db.exec(`CREATE TABLE reasons (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      kind TEXT NOT NULL DEFAULT 'other',
+      defaultFactor REAL,
+      reportGroup TEXT NOT NULL DEFAULT 'adjusted',
+      reportLabel TEXT,
+      sortOrder INTEGER NOT NULL DEFAULT 0
+    )`);
+    // The reasons that used to be hard-coded
+    db.exec(`INSERT INTO reasons (name, kind, defaultFactor, reportGroup, reportLabel, sortOrder) VALUES
+      ('Damaged/defective', 'low', 0, 'bad', NULL, 1),
+      ('Disposed of', 'low', 0, 'bad', NULL, 2),
+      ('Consumed for review', 'low', NULL, 'adjusted', NULL, 3),
+      ('Did not receive', 'low', 0, 'bad', NULL, 4),
+      ('Brand name', 'high', NULL, 'adjusted', 'Thrift shop value', 5),
+      ('Adjusted fair market value', 'other', NULL, 'adjusted', NULL, 6),
+      ('Other', 'other', NULL, 'adjusted', NULL, 7)`);
+
+    db.exec(`CREATE TABLE factor_presets (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      factor REAL NOT NULL UNIQUE,
+      label TEXT NOT NULL,
+      reasonRequired INTEGER NOT NULL DEFAULT 1,
+      reportLabel TEXT,
+      sortOrder INTEGER NOT NULL DEFAULT 0
+    )`);
+    db.exec(`INSERT INTO factor_presets (factor, label, reasonRequired, reportLabel, sortOrder) VALUES
+      (0, '0%', 1, NULL, 1),
+      (0.2, '20%', 0, 'Thrift shop value', 2),
+      (0.5, '50%', 1, NULL, 3),
+      (1, '100%', 0, NULL, 4)`);
+  }
+};
@@ -0,0 +1,23 @@
+/** @type {import('.').Migration} */
+module.exports = {
+  version: 7,
+  description: 'Add rules for adjusting imported orders',
+  up(db) {
+    db.exec(`CREATE TABLE rules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      enabled INTEGER NOT NULL DEFAULT 1,
+      asins TEXT,
+      productKeywords TEXT,
+      minEtv REAL,
+      maxEtv REAL,
+      orderedFrom TEXT,
+      orderedTo TEXT,
+      etvFactor REAL NOT NULL,
+      etvReason TEXT,
+      sortOrder INTEGER NOT NULL DEFAULT 0
+    )`);
+    // Kept after the rule is deleted, so the order isn't sent back for review
+    db.exec('ALTER TABLE orders ADD COLUMN ruleId INTEGER');
+  }
+};
@@ -0,0 +1,18 @@
+/** @type {import('.').Migration} */
+module.exports = {
+  version: 8,
+  description: 'Add order_comps table for comparable prices',
+  up(db) {
+    db.exec(`CREATE TABLE order_comps (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      accountId INTEGER NOT NULL,
+      number TEXT NOT NULL,
+      sourceId TEXT NOT NULL,
+      source TEXT NOT NULL,
+      url TEXT,
+      price REAL NOT NULL,
+      checkedAt TEXT NOT NULL
+    )`);
+    db.exec('CREATE INDEX order_comps_number ON order_comps (accountId, number)');
+  }
+};
@@ -0,0 +1,30 @@
+/** @type {import('.').Migration} */
+module.exports = {
+  version: 9,
+  description: 'Add full-text search index on orders',
+  up(db) {
+    // Trigram tokens keep substring matching, like the LIKE '%x%' search it replaces, without scanning orders.
+    // Keyed by account and order number rather than rowid, which isn't stable for orders.
+    db.exec(`CREATE VIRTUAL TABLE orders_search USING fts5(
+      accountId UNINDEXED,
+      number,
+      asin,
+      product,
+      notes,
+      tokenize = 'trigram'
+    )`);
+    db.exec(`CREATE TRIGGER orders_search_insert AFTER INSERT ON orders BEGIN
+      INSERT INTO orders_search (accountId, number, asin, product, notes)
+        VALUES (new.accountId, new.number, new.asin, new.product, new.notes);
+    END`);
+    db.exec(`CREATE TRIGGER orders_search_update AFTER UPDATE OF asin, product, notes ON orders BEGIN
+      UPDATE orders_search SET asin = new.asin, product = new.product, notes = new.notes
+        WHERE accountId = old.accountId AND number = old.number;
+    END`);
+    db.exec(`CREATE TRIGGER orders_search_delete AFTER DELETE ON orders BEGIN
+      DELETE FROM orders_search WHERE accountId = old.accountId AND number = old.number;
+    END`);
+    db.exec(`INSERT INTO orders_search (accountId, number, asin, product, notes)
+      SELECT accountId, number, asin, product, notes FROM orders`);
+  }
+};
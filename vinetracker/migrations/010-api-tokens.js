@@ -0,0 +1,15 @@
+/** @type {import('.').Migration} */
+module.exports = {
+  version: 10,
+  description: 'Add api_tokens table for the REST API',
+  up(db) {
+    // Only a hash of each token is kept, so a leaked DB doesn't leak working tokens
+    db.exec(`CREATE TABLE api_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      tokenHash TEXT NOT NULL UNIQUE,
+      createdAt TEXT NOT NULL,
+      lastUsedAt TEXT
+    )`);
+  }
+};
@@ -0,0 +1,22 @@
+/** @type {import('.').Migration} */
+module.exports = {
+  version: 11,
+  description: 'Add review_items table for changes found while importing',
+  up(db) {
+    db.exec(`CREATE TABLE review_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      accountId INTEGER NOT NULL,
+      number TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      oldEtv REAL,
+      newEtv REAL,
+      relatedNumber TEXT,
+      createdAt TEXT NOT NULL,
+      resolvedAt TEXT,
+      resolution TEXT
+    )`);
+    db.exec('CREATE INDEX review_items_number ON review_items (accountId, number)');
+    // For finding earlier orders of the same product on import
+    db.exec('CREATE INDEX orders_asin ON orders (accountId, asin)');
+  }
+};
@@ -0,0 +1,22 @@
+/** @type {import('.').Migration} */
+module.exports = {
+  version: 12,
+  description: 'Add inventory status and location to orders',
+  up(db) {
+    // The current status is kept on the order for listing, and every transition in order_status_changes
+    db.exec('ALTER TABLE orders ADD COLUMN status TEXT');
+    db.exec('ALTER TABLE orders ADD COLUMN statusAt TEXT');
+    db.exec('ALTER TABLE orders ADD COLUMN location TEXT');
+    db.exec(`CREATE TABLE order_status_changes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      accountId INTEGER NOT NULL,
+      number TEXT NOT NULL,
+      status TEXT NOT NULL,
+      changedAt TEXT NOT NULL,
+      recordedAt TEXT NOT NULL
+    )`);
+    db.exec('CREATE INDEX order_status_changes_number ON order_status_changes (accountId, number, changedAt)');
+    db.exec('ALTER TABLE reasons ADD COLUMN status TEXT');
+    db.exec("UPDATE reasons SET status = 'disposed' WHERE name IN ('Damaged/defective', 'Disposed of')");
+  }
+};
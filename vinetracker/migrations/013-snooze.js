@@ -0,0 +1,8 @@
+/** @type {import('.').Migration} */
+module.exports = {
+  version: 13,
+  description: 'Add a snoozed-until date to orders for the review queue',
+  up(db) {
+    db.exec('ALTER TABLE orders ADD COLUMN snoozedUntil TEXT');
+  }
+};
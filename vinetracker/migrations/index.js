@@ -0,0 +1,28 @@
+/**
+ * @typedef {object} Migration
+ * @prop {number} version Schema version this migration upgrades the DB to
+ * @prop {string} description Human-readable summary, logged while migrating
+ * @prop {(db: import('node:sqlite').DatabaseSync) => void} up Apply the migration. Runs inside a transaction.
+ */
+
+/**
+ * All migrations, in the order they must be applied. Versions must be strictly increasing.
+ * When adding a migration, also update schema.js so fresh installs get the same schema.
+ * @type {Migration[]}
+ */
+const migrations = [
+  require('./002-cancelled-at'),
+  require('./003-order-history'),
+  require('./004-order-photos'),
+  require('./005-accounts'),
+  require('./006-reasons'),
+  require('./007-rules'),
+  require('./008-order-comps'),
+  require('./009-orders-search'),
+  require('./010-api-tokens'),
+  require('./011-review-items'),
+  require('./012-inventory'),
+  require('./013-snooze')
+];
+
+module.exports = migrations;
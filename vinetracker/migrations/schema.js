@@ -0,0 +1,157 @@
+/**
+ * The latest DB schema, used to create a fresh database directly rather than replaying every migration.
+ * Must match the result of applying all migrations in index.js to a v1 database.
+ */
+module.exports = `
+  CREATE TABLE accounts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE,
+    createdAt TEXT NOT NULL
+  );
+  INSERT INTO accounts (id, name, createdAt) VALUES (1, 'Default', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+  CREATE TABLE orders (
+    accountId INTEGER NOT NULL DEFAULT 1 REFERENCES accounts (id),
+    number TEXT NOT NULL,
+    asin TEXT,
+    product TEXT,
+    orderedAt TEXT,
+    deliveredAt TEXT,
+    etv REAL,
+    etvFactor REAL,
+    etvReason TEXT,
+    notes TEXT,
+    cancelledAt TEXT,
+    ruleId INTEGER,
+    status TEXT,
+    statusAt TEXT,
+    location TEXT,
+    snoozedUntil TEXT,
+    PRIMARY KEY (accountId, number)
+  );
+  CREATE INDEX orders_asin ON orders (accountId, asin);
+  CREATE TABLE order_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    number TEXT NOT NULL,
+    field TEXT NOT NULL,
+    oldValue,
+    newValue,
+    source TEXT NOT NULL,
+    changedAt TEXT NOT NULL,
+    accountId INTEGER NOT NULL DEFAULT 1
+  );
+  CREATE INDEX order_history_number ON order_history (accountId, number, changedAt);
+  CREATE TABLE order_photos (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    number TEXT NOT NULL,
+    filename TEXT NOT NULL,
+    originalName TEXT,
+    mimetype TEXT,
+    uploadedAt TEXT NOT NULL,
+    accountId INTEGER NOT NULL DEFAULT 1
+  );
+  CREATE INDEX order_photos_number ON order_photos (accountId, number);
+  CREATE TABLE reasons (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE,
+    kind TEXT NOT NULL DEFAULT 'other',
+    defaultFactor REAL,
+    reportGroup TEXT NOT NULL DEFAULT 'adjusted',
+    reportLabel TEXT,
+    sortOrder INTEGER NOT NULL DEFAULT 0,
+    status TEXT
+  );
+  INSERT INTO reasons (name, kind, defaultFactor, reportGroup, reportLabel, sortOrder, status) VALUES
+    ('Damaged/defective', 'low', 0, 'bad', NULL, 1, 'disposed'),
+    ('Disposed of', 'low', 0, 'bad', NULL, 2, 'disposed'),
+    ('Consumed for review', 'low', NULL, 'adjusted', NULL, 3, NULL),
+    ('Did not receive', 'low', 0, 'bad', NULL, 4, NULL),
+    ('Brand name', 'high', NULL, 'adjusted', 'Thrift shop value', 5, NULL),
+    ('Adjusted fair market value', 'other', NULL, 'adjusted', NULL, 6, NULL),
+    ('Other', 'other', NULL, 'adjusted', NULL, 7, NULL);
+  CREATE TABLE factor_presets (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    factor REAL NOT NULL UNIQUE,
+    label TEXT NOT NULL,
+    reasonRequired INTEGER NOT NULL DEFAULT 1,
+    reportLabel TEXT,
+    sortOrder INTEGER NOT NULL DEFAULT 0
+  );
+  INSERT INTO factor_presets (factor, label, reasonRequired, reportLabel, sortOrder) VALUES
+    (0, '0%', 1, NULL, 1),
+    (0.2, '20%', 0, 'Thrift shop value', 2),
+    (0.5, '50%', 1, NULL, 3),
+    (1, '100%', 0, NULL, 4);
+  CREATE TABLE rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    enabled INTEGER NOT NULL DEFAULT 1,
+    asins TEXT,
+    productKeywords TEXT,
+    minEtv REAL,
+    maxEtv REAL,
+    orderedFrom TEXT,
+    orderedTo TEXT,
+    etvFactor REAL NOT NULL,
+    etvReason TEXT,
+    sortOrder INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE TABLE order_comps (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    accountId INTEGER NOT NULL,
+    number TEXT NOT NULL,
+    sourceId TEXT NOT NULL,
+    source TEXT NOT NULL,
+    url TEXT,
+    price REAL NOT NULL,
+    checkedAt TEXT NOT NULL
+  );
+  CREATE INDEX order_comps_number ON order_comps (accountId, number);
+  CREATE VIRTUAL TABLE orders_search USING fts5(
+    accountId UNINDEXED,
+    number,
+    asin,
+    product,
+    notes,
+    tokenize = 'trigram'
+  );
+  CREATE TRIGGER orders_search_insert AFTER INSERT ON orders BEGIN
+    INSERT INTO orders_search (accountId, number, asin, product, notes)
+      VALUES (new.accountId, new.number, new.asin, new.product, new.notes);
+  END;
+  CREATE TRIGGER orders_search_update AFTER UPDATE OF asin, product, notes ON orders BEGIN
+    UPDATE orders_search SET asin = new.asin, product = new.product, notes = new.notes
+      WHERE accountId = old.accountId AND number = old.number;
+  END;
+  CREATE TRIGGER orders_search_delete AFTER DELETE ON orders BEGIN
+    DELETE FROM orders_search WHERE accountId = old.accountId AND number = old.number;
+  END;
+  CREATE TABLE api_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    tokenHash TEXT NOT NULL UNIQUE,
+    createdAt TEXT NOT NULL,
+    lastUsedAt TEXT
+  );
+  CREATE TABLE review_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    accountId INTEGER NOT NULL,
+    number TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    oldEtv REAL,
+    newEtv REAL,
+    relatedNumber TEXT,
+    createdAt TEXT NOT NULL,
+    resolvedAt TEXT,
+    resolution TEXT
+  );
+  CREATE INDEX review_items_number ON review_items (accountId, number);
+  CREATE TABLE order_status_changes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    accountId INTEGER NOT NULL,
+    number TEXT NOT NULL,
+    status TEXT NOT NULL,
+    changedAt TEXT NOT NULL,
+    recordedAt TEXT NOT NULL
+  );
+  CREATE INDEX order_status_changes_number ON order_status_changes (accountId, number, changedAt);
+`;
@@ -0,0 +1,498 @@
+/**
+ * OpenAPI description of the token-authenticated REST API, served at /api/v1/openapi.json.
+ * Keep it in step with the routes on apiRoutes in index.js.
+ */
+
+const { inventoryStatuses } = require('./inventory');
+
+const statusIds = inventoryStatuses.map(s => s.id);
+const accountParam = {
+  name: 'account',
+  in: 'query',
+  description: "Account ID, or 'all' for every account. Defaults to the first account.",
+  schema: { type: 'string' }
+};
+const numberParam = {
+  name: 'number',
+  in: 'path',
+  required: true,
+  description: 'Order number',
+  schema: { type: 'string' }
+};
+const yearParam = {
+  name: 'year',
+  in: 'path',
+  required: true,
+  schema: { type: 'integer', minimum: 2000, maximum: 3000 }
+};
+
+/**
+ * @param {string} description
+ */
+function errorResponse(description) {
+  return {
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+  };
+}
+
+/**
+ * @param {string} description
+ * @param {object} schema
+ */
+function jsonResponse(description, schema) {
+  return {
+    description,
+    content: { 'application/json': { schema } }
+  };
+}
+
+/**
+ * @param {object} schema
+ */
+function jsonBody(schema) {
+  return {
+    required: true,
+    content: { 'application/json': { schema } }
+  };
+}
+
+const success = jsonResponse('Updated', {
+  type: 'object',
+  properties: { success: { type: 'boolean' } }
+});
+
+// Returned by every route, on top of the responses listed for it
+const commonResponses = {
+  401: errorResponse('Missing or unknown token'),
+  500: errorResponse('Unexpected error')
+};
+
+const orderFilterParams = [
+  { name: 'filter', in: 'query', schema: { type: 'string', enum: ['all', 'adjusted', 'cancelled'] }, description: "'adjusted' lists orders that still need adjusting" },
+  { name: 's', in: 'query', schema: { type: 'string' }, description: 'Search order number, ASIN, product and notes, or a YYYY-MM-DD order date' },
+  { name: 'from', in: 'query', schema: { type: 'string', format: 'date' } },
+  { name: 'to', in: 'query', schema: { type: 'string', format: 'date' } },
+  { name: 'dateField', in: 'query', schema: { type: 'string', enum: ['ordered', 'delivered'] }, description: 'Date that from and to apply to' },
+  { name: 'minEtv', in: 'query', schema: { type: 'number' } },
+  { name: 'maxEtv', in: 'query', schema: { type: 'number' } },
+  { name: 'reason', in: 'query', schema: { type: 'string' } },
+  { name: 'hasReason', in: 'query', schema: { type: 'boolean' } },
+  { name: 'hasNotes', in: 'query', schema: { type: 'boolean' } },
+  { name: 'delivered', in: 'query', schema: { type: 'boolean' } },
+  { name: 'etvFactor', in: 'query', schema: { type: 'string' }, description: "A factor like 0.2, or 'none' for orders without one" }
+];
+
+const openApiDocument = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Vine Tracker API',
+    version: '1',
+    description: 'Read and edit Vine orders and ETV summaries. Create a token on the Settings page and send it as a bearer token.'
+  },
+  servers: [{ url: '/api/v1' }],
+  security: [{ bearerAuth: [] }],
+  paths: {
+    '/accounts': {
+      get: {
+        summary: 'List accounts',
+        responses: {
+          200: jsonResponse('Accounts', {
+            type: 'object',
+            properties: { accounts: { type: 'array', items: { $ref: '#/components/schemas/Account' } } }
+          }),
+          ...commonResponses
+        }
+      }
+    },
+    '/orders': {
+      get: {
+        summary: 'List orders',
+        parameters: [
+          accountParam,
+          ...orderFilterParams,
+          { name: 'sort', in: 'query', schema: { type: 'string', enum: ['orderedAt', 'deliveredAt', 'cancelledAt', 'product', 'etv', 'etvFactor', 'adjustedEtv'] } },
+          { name: 'dir', in: 'query', schema: { type: 'string', enum: ['asc', 'desc'] } },
+          { name: 'limit', in: 'query', schema: { type: 'integer' } },
+          { name: 'offset', in: 'query', schema: { type: 'integer' } }
+        ],
+        responses: {
+          200: jsonResponse('A page of orders and the total matching the filters', {
+            type: 'object',
+            properties: {
+              orders: { type: 'array', items: { $ref: '#/components/schemas/Order' } },
+              total: { type: 'integer' }
+            }
+          }),
+          400: errorResponse('Invalid filter'),
+          ...commonResponses
+        }
+      }
+    },
+    '/orders/bulk': {
+      post: {
+        summary: 'Edit many orders at once',
+        parameters: [accountParam],
+        requestBody: jsonBody({
+          type: 'object',
+          description: 'Either numbers, or filter and/or all, and at least one change',
+          properties: {
+            numbers: { type: 'array', items: { type: 'string' } },
+            filter: { type: 'object', description: 'The same parameters as GET /orders' },
+            all: {
+              type: 'boolean',
+              description: 'Must be true to edit every order, either on its own or with a filter that has no search or criteria'
+            },
+            etvFactor: { type: 'number', nullable: true },
+            reason: { type: 'string' },
+            notes: { type: 'string' }
+          }
+        }),
+        responses: {
+          200: jsonResponse('Orders updated', {
+            type: 'object',
+            properties: {
+              updated: { type: 'integer' },
+              notFound: { type: 'array', items: { type: 'string' } }
+            }
+          }),
+          400: errorResponse('Invalid request'),
+          ...commonResponses
+        }
+      }
+    },
+    '/orders/{number}': {
+      get: {
+        summary: 'Get an order with its photos and comparable prices',
+        parameters: [numberParam, accountParam],
+        responses: {
+          200: jsonResponse('The order', { $ref: '#/components/schemas/Order' }),
+          404: errorResponse('Order not found'),
+          409: errorResponse('Order is in more than one account, so an account must be given'),
+          ...commonResponses
+        }
+      }
+    },
+    '/orders/{number}/history': {
+      get: {
+        summary: "Get an order's change history",
+        parameters: [numberParam, accountParam],
+        responses: {
+          200: jsonResponse('History, oldest first', {
+            type: 'object',
+            properties: {
+              history: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    field: { type: 'string' },
+                    oldValue: { nullable: true },
+                    newValue: { nullable: true },
+                    source: { type: 'string', enum: ['user', 'import', 'rule'] },
+                    changedAt: { type: 'string', format: 'date-time' }
+                  }
+                }
+              }
+            }
+          }),
+          404: errorResponse('Order not found'),
+          ...commonResponses
+        }
+      }
+    },
+    '/orders/{number}/etv': {
+      post: {
+        summary: "Set an order's ETV factor",
+        parameters: [numberParam, accountParam],
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['etvFactor'],
+          properties: { etvFactor: { type: 'number', minimum: 0, nullable: true } }
+        }),
+        responses: { 200: success, 400: errorResponse('Invalid factor'), 404: errorResponse('Order not found'), ...commonResponses }
+      }
+    },
+    '/orders/{number}/etv-reason': {
+      post: {
+        summary: "Set an order's ETV adjustment reason",
+        parameters: [numberParam, accountParam],
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['reason'],
+          properties: { reason: { type: 'string', maxLength: 255 } }
+        }),
+        responses: { 200: success, 400: errorResponse('Invalid reason'), 404: errorResponse('Order not found'), ...commonResponses }
+      }
+    },
+    '/orders/{number}/notes': {
+      post: {
+        summary: "Set an order's notes",
+        parameters: [numberParam, accountParam],
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['notes'],
+          properties: { notes: { type: 'string', maxLength: 2000 } }
+        }),
+        responses: { 200: success, 400: errorResponse('Invalid notes'), 404: errorResponse('Order not found'), ...commonResponses }
+      }
+    },
+    '/orders/{number}/status': {
+      post: {
+        summary: "Record a change to an order's inventory status",
+        parameters: [numberParam, accountParam],
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['status'],
+          properties: {
+            status: { type: 'string', enum: statusIds },
+            date: { type: 'string', format: 'date', description: 'When the item got the status. Defaults to now.' }
+          }
+        }),
+        responses: { 200: success, 400: errorResponse('Invalid status or date'), 404: errorResponse('Order not found'), ...commonResponses }
+      }
+    },
+    '/orders/{number}/snooze': {
+      post: {
+        summary: "Take an order out of the carousel's review queue until a date",
+        parameters: [numberParam, accountParam],
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['until'],
+          properties: { until: { type: 'string', format: 'date', nullable: true, description: 'Null to unsnooze' } }
+        }),
+        responses: { 200: success, 400: errorResponse('Invalid date'), 404: errorResponse('Order not found'), ...commonResponses }
+      }
+    },
+    '/orders/{number}/location': {
+      post: {
+        summary: "Set where an order's item is stored",
+        parameters: [numberParam, accountParam],
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['location'],
+          properties: { location: { type: 'string', maxLength: 255, description: 'Empty to clear it' } }
+        }),
+        responses: { 200: success, 400: errorResponse('Invalid location'), 404: errorResponse('Order not found'), ...commonResponses }
+      }
+    },
+    '/upload': {
+      post: {
+        summary: 'Import a Vine export',
+        description: 'Accepts .xlsx, .csv, .json or a saved Orders .html page. Orders are imported into the given account.',
+        parameters: [
+          accountParam,
+          { name: 'dryRun', in: 'query', schema: { type: 'boolean' }, description: 'Report what would change without saving' }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'multipart/form-data': {
+              schema: {
+                type: 'object',
+                required: ['file'],
+                properties: { file: { type: 'string', format: 'binary' } }
+              }
+            }
+          }
+        },
+        responses: {
+          200: jsonResponse('Import result', { $ref: '#/components/schemas/ImportResult' }),
+          400: errorResponse('Missing or unreadable file'),
+          ...commonResponses
+        }
+      }
+    },
+    '/report-data': {
+      get: {
+        summary: 'Summarize a range of days',
+        parameters: [
+          accountParam,
+          { name: 'from', in: 'query', required: true, schema: { type: 'string', format: 'date' } },
+          { name: 'to', in: 'query', required: true, schema: { type: 'string', format: 'date' } }
+        ],
+        responses: {
+          200: jsonResponse('Totals for the range, with monthly totals keyed YYYY-MM', { $ref: '#/components/schemas/Report' }),
+          400: errorResponse('Invalid range'),
+          ...commonResponses
+        }
+      }
+    },
+    '/report-data/summary': {
+      get: {
+        summary: 'Compare every tax year side by side',
+        parameters: [accountParam],
+        responses: {
+          200: jsonResponse('Totals for each year, oldest first, and across all years', { $ref: '#/components/schemas/SummaryReport' }),
+          ...commonResponses
+        }
+      }
+    },
+    '/report-data/{year}': {
+      get: {
+        summary: 'Summarize a tax year',
+        parameters: [yearParam, accountParam],
+        responses: {
+          200: jsonResponse('Totals for the year, with monthly totals and the estimated tax', { $ref: '#/components/schemas/Report' }),
+          400: errorResponse('Invalid year'),
+          ...commonResponses
+        }
+      }
+    },
+    '/json/{year}': {
+      get: {
+        summary: 'Export the orders counted in a tax year',
+        parameters: [yearParam, accountParam],
+        responses: {
+          200: jsonResponse('Orders', { type: 'array', items: { $ref: '#/components/schemas/Order' } }),
+          400: errorResponse('Invalid year'),
+          ...commonResponses
+        }
+      }
+    }
+  },
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer' }
+    },
+    schemas: {
+      Error: {
+        type: 'object',
+        properties: { error: { type: 'string' } }
+      },
+      Account: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          name: { type: 'string' }
+        }
+      },
+      Order: {
+        type: 'object',
+        properties: {
+          accountId: { type: 'integer' },
+          number: { type: 'string' },
+          asin: { type: 'string' },
+          product: { type: 'string' },
+          orderedAt: { type: 'string', format: 'date-time' },
+          deliveredAt: { type: 'string', format: 'date-time', description: 'Actually the shipped date' },
+          etv: { type: 'number' },
+          etvFactor: { type: 'number', nullable: true, description: 'Residual percent of ETV, as a fraction' },
+          cancelledAt: { type: 'string', format: 'date-time' },
+          etvReason: { type: 'string', nullable: true },
+          notes: { type: 'string' },
+          ruleId: { type: 'integer', description: 'Rule that adjusted the order' },
+          status: { type: 'string', enum: statusIds, description: 'Inventory status' },
+          statusAt: { type: 'string', format: 'date-time', description: 'When the item got its current status' },
+          location: { type: 'string', description: 'Where the item is stored' },
+          snoozedUntil: { type: 'string', format: 'date-time', description: "When the order comes back into the carousel's review queue" }
+        }
+      },
+      ImportResult: {
+        type: 'object',
+        properties: {
+          dryRun: { type: 'boolean' },
+          inserted: { type: 'integer' },
+          updated: { type: 'integer' },
+          unchanged: { type: 'integer' },
+          cancellations: { type: 'integer' },
+          ruleAdjusted: { type: 'integer' },
+          flagged: { type: 'integer', description: 'Orders added to the review list' },
+          etvChanges: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                number: { type: 'string' },
+                oldEtv: { type: 'number' },
+                newEtv: { type: 'number' }
+              }
+            }
+          },
+          failed: { type: 'integer' },
+          rejected: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                line: { type: 'integer' },
+                number: { type: 'string' },
+                reason: { type: 'string' }
+              }
+            }
+          }
+        }
+      },
+      Report: {
+        type: 'object',
+        properties: {
+          totalEtv: { type: 'number' },
+          totalAdjustedEtv: { type: 'number' },
+          orderCount: { type: 'integer' },
+          monthly: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                month: { oneOf: [{ type: 'integer' }, { type: 'string' }] },
+                orderCount: { type: 'integer' },
+                totalEtv: { type: 'number' },
+                totalAdjustedEtv: { type: 'number' }
+              }
+            }
+          },
+          orderCountByDate: { type: 'object', additionalProperties: { type: 'integer' } },
+          orderETVByDate: { type: 'object', additionalProperties: { type: 'number' } },
+          estimatedTax: { type: 'object', description: 'Tax years only' }
+        }
+      },
+      PeriodTotals: {
+        type: 'object',
+        properties: {
+          orderCount: { type: 'integer', description: 'Orders counted towards the period' },
+          totalEtv: { type: 'number' },
+          totalAdjustedEtv: { type: 'number' },
+          averageEtv: { type: 'number' },
+          adjustedShare: { type: 'number', description: 'Fraction of orders with an adjusted ETV' },
+          reasons: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                reason: { type: 'string', nullable: true, description: 'Null for orders without a reason' },
+                orderCount: { type: 'integer' },
+                share: { type: 'number' }
+              }
+            }
+          },
+          placedCount: { type: 'integer', description: 'Orders placed in the period, including cancelled ones' },
+          cancelledCount: { type: 'integer' },
+          cancellationRate: { type: 'number' }
+        }
+      },
+      SummaryReport: {
+        type: 'object',
+        properties: {
+          years: {
+            type: 'array',
+            items: {
+              allOf: [
+                { $ref: '#/components/schemas/PeriodTotals' },
+                {
+                  type: 'object',
+                  properties: {
+                    year: { type: 'integer' },
+                    monthly: { $ref: '#/components/schemas/Report/properties/monthly' }
+                  }
+                }
+              ]
+            }
+          },
+          lifetime: { $ref: '#/components/schemas/PeriodTotals' }
+        }
+      }
+    }
+  }
+};
+
+module.exports = openApiDocument;
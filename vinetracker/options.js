@@ -0,0 +1,90 @@
+const fs = require('node:fs');
+
+// Home Assistant writes the addon's configured options here
+const optionsPath = process.env.OPTIONS_PATH || '/data/options.json';
+
+/**
+ * @typedef {object} Options
+ * @prop {import('./xlsx').ColumnMapping} column_mapping Spreadsheet headers to use in place of the known ones
+ * @prop {boolean} inbox_enabled Whether to import order exports dropped in the share folder's inbox
+ * @prop {number} inbox_interval How often to check the inbox, in seconds
+ * @prop {number} marginal_tax_rate Marginal tax rate in percent, for estimating tax owed. 0 if not set.
+ * @prop {string} timezone IANA timezone that dates are bucketed in, e.g. America/New_York. Empty to use the
+ *   container's, which is usually UTC.
+ * @prop {number} api_port Port to serve the token-authenticated REST API on. 0 to turn the API off.
+ * @prop {number} backup_interval How often to back up the DB to the share folder, in hours. 0 to turn backups off.
+ * @prop {number} backup_keep How many scheduled backups to keep
+ * @prop {number} etv_threshold ETV for the year, per account, at which to fire an event in Home Assistant. 0 to turn
+ *   the event off.
+ * @prop {number} unadjusted_alert_count How many unadjusted orders to allow before showing a notification in Home
+ *   Assistant. 0 to turn the notification off.
+ */
+
+/** @type {Options} */
+const defaults = {
+  column_mapping: {},
+  inbox_enabled: true,
+  inbox_interval: 30,
+  marginal_tax_rate: 0,
+  timezone: '',
+  api_port: 0,
+  backup_interval: 24,
+  backup_keep: 7,
+  etv_threshold: 0,
+  unadjusted_alert_count: 20
+};
+
+/** @type {Options | undefined} */
+let options;
+
+/**
+ * Get the addon options, falling back to defaults for any that aren't set. Read once, since
+ * Home Assistant restarts the addon when they change.
+ * @returns {Options}
+ */
+function getOptions() {
+  if (!options) {
+    /** @type {Partial<Options>} */
+    let configured = {};
+    try {
+      configured = JSON.parse(fs.readFileSync(optionsPath, 'utf-8'));
+    } catch (err) {
+      if (/** @type {NodeJS.ErrnoException} */ (err).code !== 'ENOENT') {
+        console.error(`Failed to read options from ${optionsPath}, using defaults:`, err);
+      }
+    }
+    options = { ...defaults, ...onlySet(configured) };
+    if (options.timezone && !isValidTimezone(options.timezone)) {
+      console.error(`Unknown timezone '${options.timezone}', using the container's timezone instead`);
+      options.timezone = defaults.timezone;
+    }
+  }
+  return options;
+}
+
+/**
+ * Drop options that are unset, so they fall back to defaults
+ * @param {Record<string, unknown>} input
+ * @returns {Record<string, unknown>}
+ */
+function onlySet(input) {
+  return Object.fromEntries(Object.entries(input).filter(([key, value]) => value !== undefined && value !== null && value !== ''));
+}
+
+/**
+ * Check whether a timezone name is one the runtime knows
+ * @param {string} timezone IANA timezone name
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+module.exports = {
+  getOptions
+};
@@ -0,0 +1,78 @@
+const path = require('path');
+
+const { ImportFormatError, csvParse, jsonParse, xlsxParse } = require('./xlsx');
+const { vineHtmlParse } = require('./vine-html');
+
+/**
+ * Parser for each supported file extension
+ * @type {Record<string, typeof xlsxParse>}
+ */
+const parsers = {
+  '.xlsx': xlsxParse,
+  '.csv': csvParse,
+  '.json': jsonParse,
+  '.html': vineHtmlParse,
+  '.htm': vineHtmlParse
+};
+
+/**
+ * Extension to assume for files uploaded without one
+ * @type {Record<string, string>}
+ */
+const mimetypeExtensions = {
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx',
+  'text/csv': '.csv',
+  'application/csv': '.csv',
+  // Windows reports CSV files as Excel files when Excel is installed
+  'application/vnd.ms-excel': '.csv',
+  'application/json': '.json',
+  'text/html': '.html'
+};
+
+const supportedExtensions = Object.keys(parsers);
+
+/**
+ * Work out which extension's parser to use for a file
+ * @param {string} filename Name of the file
+ * @param {string} [mimetype] MIME type of the file, if known
+ * @returns {string | undefined} Supported extension, or undefined if the file isn't supported
+ */
+function getExtension(filename, mimetype) {
+  const ext = path.extname(filename).toLowerCase();
+  if (parsers[ext]) return ext;
+  return mimetype ? mimetypeExtensions[mimetype] : undefined;
+}
+
+/**
+ * Check whether a file is an order export we can import
+ * @param {string} filename Name of the file
+ * @param {string} [mimetype] MIME type of the file, if known
+ * @returns {boolean}
+ */
+function isSupportedFile(filename, mimetype) {
+  return Boolean(getExtension(filename, mimetype));
+}
+
+/**
+ * Parse an order export of any supported type into an array of objects for Vine orders
+ * @param {Buffer} buffer buffer to parse
+ * @param {string} filename Name of the file, used to pick a parser
+ * @param {object} [options]
+ * @param {string} [options.mimetype] MIME type of the file, used if the name has no supported extension
+ * @param {import('./xlsx').ColumnMapping} [options.columnMapping] Headers to use in place of the known ones
+ * @returns {Promise<import('./xlsx').Row[]>} Parsed data
+ * @throws {ImportFormatError} If the file type isn't supported or its layout isn't recognized
+ */
+async function parseOrderFile(buffer, filename, { mimetype, columnMapping } = {}) {
+  const ext = getExtension(filename, mimetype);
+  if (!ext) {
+    throw new ImportFormatError(`Unsupported file '${filename}'. Supported types are ${supportedExtensions.join(', ')}`, []);
+  }
+  return parsers[ext](buffer, { columnMapping });
+}
+
+module.exports = {
+  isSupportedFile,
+  parseOrderFile,
+  supportedExtensions
+};
@@ -0,0 +1,122 @@
+const fs = require('node:fs/promises');
+
+/**
+ * @typedef {import('./index').Order} Order
+ */
+
+/**
+ * @typedef {object} PriceQuote A price for a product comparable to an order's, backing up its fair market value
+ * @prop {string} source Where the price was seen, e.g. "eBay sold listing"
+ * @prop {string | null} url Link to the listing, if any
+ * @prop {number} price Price in dollars
+ * @prop {Date} checkedAt When the price was checked
+ */
+/**
+ * @typedef {object} PriceSource
+ * @prop {string} id Stable ID, stored with each price the source finds
+ * @prop {string} name Display name
+ * @prop {boolean} manual Whether the source records prices the user entered, rather than looking them up itself
+ * @prop {(order: Order, input?: any) => Promise<PriceQuote[]>} lookup Find comparable prices for an order. Manual
+ *   sources are given what the user entered as input. Throws a PriceSourceError if the prices can't be found.
+ */
+
+/**
+ * Thrown when a price source can't provide prices, e.g. because the user's input is invalid
+ */
+class PriceSourceError extends Error {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'PriceSourceError';
+  }
+}
+
+/**
+ * Records a price the user found themselves
+ * @type {PriceSource}
+ */
+const manualSource = {
+  id: 'manual',
+  name: 'Manual entry',
+  manual: true,
+  async lookup(order, input) {
+    const { source, url = null, price, checkedAt } = input ?? {};
+    if (typeof source !== 'string' || !source.trim() || source.length > 255) {
+      throw new PriceSourceError('Invalid source. Must be a string up to 255 characters');
+    }
+    if (url !== null && (typeof url !== 'string' || url.length > 2000 || !/^https?:\/\//i.test(url))) {
+      throw new PriceSourceError('Invalid url. Must be an http(s) URL up to 2000 characters, or null');
+    }
+    if (typeof price !== 'number' || !Number.isFinite(price) || price < 0) {
+      throw new PriceSourceError('Invalid price. Must be a number greater than or equal to 0');
+    }
+    const checked = checkedAt === undefined ? new Date() : new Date(checkedAt);
+    if (Number.isNaN(checked.getTime())) {
+      throw new PriceSourceError('Invalid checkedAt. Must be a date');
+    }
+    return [{ source: source.trim(), url: url || null, price, checkedAt: checked }];
+  }
+};
+
+/**
+ * Create a source that reads prices from a local JSON file, keyed by ASIN, e.g.
+ * `{ "B0EXAMPLE": [{ "source": "eBay", "url": "https://...", "price": 12.5, "checkedAt": "2025-01-31" }] }`.
+ * The file is read on every lookup, so it can be edited while the addon runs.
+ * @param {string} filePath Path to the price file
+ * @returns {PriceSource}
+ */
+function createFileSource(filePath) {
+  return {
+    id: 'file',
+    name: 'Local price file',
+    manual: false,
+    async lookup(order) {
+      /** @type {Record<string, any[]>} */
+      let prices;
+      try {
+        prices = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+      } catch (err) {
+        if (/** @type {NodeJS.ErrnoException} */ (err).code === 'ENOENT') {
+          throw new PriceSourceError(`No price file found at ${filePath}`);
+        }
+        throw new PriceSourceError(`Failed to read price file ${filePath}: ${err instanceof Error ? err.message : String(err)}`);
+      }
+      const entries = Array.isArray(prices?.[order.asin]) ? prices[order.asin] : [];
+      /** @type {PriceQuote[]} */
+      const quotes = [];
+      for (const entry of entries) {
+        // Skip entries that don't look like prices rather than failing the whole lookup
+        if (typeof entry?.price !== 'number' || entry.price < 0) continue;
+        const checkedAt = entry.checkedAt ? new Date(entry.checkedAt) : new Date();
+        quotes.push({
+          source: typeof entry.source === 'string' && entry.source ? entry.source : 'Local price file',
+          url: typeof entry.url === 'string' && entry.url ? entry.url : null,
+          price: entry.price,
+          checkedAt: Number.isNaN(checkedAt.getTime()) ? new Date() : checkedAt
+        });
+      }
+      return quotes;
+    }
+  };
+}
+
+/**
+ * Get the median of a set of comparable prices, which is what an order's fair market value defaults to
+ * @param {{ price: number }[]} quotes
+ * @returns {number | null} The median price, or null if there are no prices
+ */
+function getMedianPrice(quotes) {
+  if (!quotes.length) return null;
+  const prices = quotes.map(q => q.price).sort((a, b) => a - b);
+  const mid = Math.floor(prices.length / 2);
+  return prices.length % 2 ? prices[mid] : (prices[mid - 1] + prices[mid]) / 2;
+}
+
+module.exports = {
+  PriceSourceError,
+  manualSource,
+  createFileSource,
+  getMedianPrice
+};
@@ -0,0 +1,98 @@
+const { getDateString } = require('./tax-year');
+
+/**
+ * @typedef {import('./index').Order} Order
+ */
+
+/**
+ * @typedef {object} RuleCriteria
+ * @prop {string | null} asins Comma-separated ASINs to match, where `*` matches any characters, e.g. `B0FOO*`
+ * @prop {string | null} productKeywords Comma-separated keywords, any of which the product name must contain, ignoring case
+ * @prop {number | null} minEtv Smallest ETV to match, inclusive
+ * @prop {number | null} maxEtv Largest ETV to match, inclusive
+ * @prop {string | null} orderedFrom Earliest order date to match, as YYYY-MM-DD, inclusive
+ * @prop {string | null} orderedTo Latest order date to match, as YYYY-MM-DD, inclusive
+ */
+/**
+ * @typedef {object} RuleAction
+ * @prop {number} etvFactor Factor to set on matching orders
+ * @prop {string | null} etvReason Reason to set on matching orders, if any
+ */
+/**
+ * @typedef {RuleCriteria & RuleAction & {
+ *   id: number,
+ *   name: string,
+ *   enabled: boolean,
+ *   sortOrder: number
+ * }} Rule
+ */
+
+/** @type {(keyof RuleCriteria)[]} */
+const criteriaFields = ['asins', 'productKeywords', 'minEtv', 'maxEtv', 'orderedFrom', 'orderedTo'];
+
+/**
+ * Check whether any match criteria are set. A rule without any would match every order.
+ * @param {RuleCriteria} criteria
+ * @returns {boolean}
+ */
+function hasCriteria(criteria) {
+  return criteriaFields.some(field => criteria[field] !== null && criteria[field] !== '');
+}
+
+/**
+ * Check whether an order meets all of a rule's criteria
+ * @param {RuleCriteria} criteria
+ * @param {Order} order
+ * @returns {boolean}
+ */
+function matchesRule(criteria, order) {
+  if (!hasCriteria(criteria)) return false;
+  if (criteria.asins && !splitList(criteria.asins).some(pattern => toWildcardRegExp(pattern).test(order.asin ?? ''))) {
+    return false;
+  }
+  if (criteria.productKeywords) {
+    const product = (order.product ?? '').toLowerCase();
+    if (!splitList(criteria.productKeywords).some(keyword => product.includes(keyword.toLowerCase()))) return false;
+  }
+  if (criteria.minEtv !== null && order.etv < criteria.minEtv) return false;
+  if (criteria.maxEtv !== null && order.etv > criteria.maxEtv) return false;
+  const orderedOn = getDateString(order.orderedAt);
+  if (criteria.orderedFrom && orderedOn < criteria.orderedFrom) return false;
+  if (criteria.orderedTo && orderedOn > criteria.orderedTo) return false;
+  return true;
+}
+
+/**
+ * Find the first enabled rule an order matches
+ * @param {Rule[]} rules Rules, in the order they should be tried
+ * @param {Order} order
+ * @returns {Rule | undefined}
+ */
+function findMatchingRule(rules, order) {
+  return rules.find(rule => rule.enabled && matchesRule(rule, order));
+}
+
+/**
+ * Split a comma-separated list, dropping empty entries
+ * @param {string} list
+ * @returns {string[]}
+ */
+function splitList(list) {
+  return list.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Turn a pattern where `*` matches any characters into a case-insensitive regular expression
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function toWildcardRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+module.exports = {
+  hasCriteria,
+  matchesRule,
+  findMatchingRule
+};
@@ -0,0 +1,227 @@
+/**
+ * Service worker for the panel, registered by the navbar. Pages and assets are cached as they're fetched, so the
+ * panel still opens when the addon can't be reached, e.g. on a phone without a connection. ETV, reason, notes and
+ * snooze edits made meanwhile are queued and sent, in order, once the addon is reachable again.
+ */
+
+const CACHE_NAME = 'vinetracker-v1';
+// Other addons on the same Home Assistant origin share IndexedDB, so keep the name specific
+const QUEUE_DB = 'vinetracker-queue';
+const QUEUE_STORE = 'edits';
+const SYNC_TAG = 'vinetracker-queue';
+// Edits that are safe to send later. Anything else needs an answer from the addon, so fails as usual while offline.
+const QUEUEABLE = /^\/orders\/[^/]+\/(etv|etv-reason|notes|snooze)$/;
+// Home Assistant answers for the addon with these while the addon is down
+const UNREACHABLE_STATUSES = [502, 503, 504];
+
+const scopePath = new URL(self.registration.scope).pathname.replace(/\/$/, '');
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    for (const key of await caches.keys()) {
+      if (key.startsWith('vinetracker-') && key !== CACHE_NAME) await caches.delete(key);
+    }
+    await self.clients.claim();
+    await replayQueue();
+  })());
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin || !url.pathname.startsWith(`${scopePath}/`)) return;
+  const route = url.pathname.slice(scopePath.length);
+  if (request.method === 'POST' && QUEUEABLE.test(route)) {
+    event.respondWith(sendOrQueue(request));
+  } else if (request.method === 'GET' && route.startsWith('/vendor/')) {
+    event.respondWith(staleWhileRevalidate(request));
+  } else if (request.method === 'GET') {
+    event.respondWith(networkFirst(request));
+  }
+});
+
+self.addEventListener('sync', event => {
+  if (event.tag === SYNC_TAG) event.waitUntil(replayQueue());
+});
+
+// Pages ask for a retry when they load and when the browser comes back online, and get the queue size back
+self.addEventListener('message', event => {
+  if (event.data === 'replay') event.waitUntil(replayQueue());
+});
+
+/**
+ * Check whether a response means the addon couldn't be reached
+ * @param {Response} response
+ * @returns {boolean}
+ */
+function isUnreachable(response) {
+  return UNREACHABLE_STATUSES.includes(response.status);
+}
+
+/**
+ * Send an edit, or queue it if the addon can't be reached. Earlier queued edits go first, so a newer edit to the same
+ * order isn't overwritten by an older one.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function sendOrQueue(request) {
+  const edit = {
+    url: request.url,
+    contentType: request.headers.get('Content-Type'),
+    body: await request.clone().text(),
+    queuedAt: Date.now()
+  };
+  if ((await getQueue()).length) await replayQueue();
+  if (!(await getQueue()).length) {
+    try {
+      const response = await fetch(request);
+      if (!isUnreachable(response)) return response;
+    } catch {
+      // Offline, so queue it below
+    }
+  }
+  await withQueue('readwrite', store => store.add(edit));
+  try {
+    await self.registration.sync?.register(SYNC_TAG);
+  } catch {
+    // Background sync isn't supported everywhere. Pages also ask for a retry when they come back online.
+  }
+  await notifyClients();
+  return new Response(JSON.stringify({ success: true, queued: true }), {
+    status: 202,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+let replaying;
+/**
+ * Send queued edits in order, stopping at the first that still can't get through. Only one replay runs at a time.
+ * @returns {Promise<void>}
+ */
+function replayQueue() {
+  replaying ??= (async () => {
+    try {
+      for (const edit of await getQueue()) {
+        let response;
+        try {
+          response = await fetch(edit.url, {
+            method: 'POST',
+            headers: edit.contentType ? { 'Content-Type': edit.contentType } : {},
+            body: edit.body,
+            credentials: 'same-origin'
+          });
+        } catch {
+          break;
+        }
+        if (isUnreachable(response)) break;
+        await withQueue('readwrite', store => store.delete(edit.id));
+        if (!response.ok) {
+          const data = await response.json().catch(() => ({}));
+          await notifyClients({ type: 'syncError', url: edit.url, error: data.error ?? response.statusText });
+        }
+      }
+    } finally {
+      replaying = undefined;
+    }
+    await notifyClients();
+  })();
+  return replaying;
+}
+
+/**
+ * Tell every open page about the queue, or pass on a message
+ * @param {object} [message] Defaults to the number of queued edits
+ */
+async function notifyClients(message) {
+  const data = message ?? { type: 'queue', count: (await getQueue()).length };
+  for (const client of await self.clients.matchAll()) {
+    client.postMessage(data);
+  }
+}
+
+/**
+ * Serve assets from the cache straight away, updating it in the background, so updated libraries are picked up on
+ * the next load
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  const update = fetch(request).then(response => {
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  });
+  if (cached) {
+    update.catch(() => {});
+    return cached;
+  }
+  return update;
+}
+
+/**
+ * Fetch pages and data from the addon, keeping a copy to fall back on when it can't be reached. Downloads aren't kept.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (!isUnreachable(response)) {
+      if (response.ok && !response.headers.has('Content-Disposition')) {
+        cache.put(request, response.clone());
+      }
+      return response;
+    }
+  } catch {
+    // Offline, so fall back to the cache below
+  }
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  return new Response('Vine Tracker can\'t be reached, and this page hasn\'t been opened before. Try again once you\'re back online.', {
+    status: 503,
+    headers: { 'Content-Type': 'text/plain' }
+  });
+}
+
+/**
+ * Get the queued edits, oldest first
+ * @returns {Promise<{ id: number, url: string, contentType: string | null, body: string, queuedAt: number }[]>}
+ */
+function getQueue() {
+  return withQueue('readonly', store => store.getAll());
+}
+
+/**
+ * Run a request against the queue's object store
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} fn
+ * @returns {Promise<any>} The request's result
+ */
+function withQueue(mode, fn) {
+  return new Promise((resolve, reject) => {
+    const open = indexedDB.open(QUEUE_DB, 1);
+    open.onupgradeneeded = () => {
+      open.result.createObjectStore(QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+    };
+    open.onerror = () => reject(open.error);
+    open.onsuccess = () => {
+      const db = open.result;
+      const tx = db.transaction(QUEUE_STORE, mode);
+      const request = fn(tx.objectStore(QUEUE_STORE));
+      tx.oncomplete = () => {
+        db.close();
+        resolve(request.result);
+      };
+      tx.onerror = () => {
+        db.close();
+        reject(tx.error);
+      };
+    };
+  });
+}
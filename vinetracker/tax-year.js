@@ -0,0 +1,262 @@
+/**
+ * @typedef {import('./index').Order} Order
+ */
+
+/**
+ * Get the ETV of an order after adjustment. Orders that haven't been adjusted count at their full ETV.
+ * @param {Order} order
+ * @returns {number}
+ */
+function getAdjustedEtv(order) {
+  return order.etv * (order.etvFactor ?? 1);
+}
+
+/**
+ * Get the date that decides which tax year an order falls in: the shipped date, or the order date if it
+ * hasn't shipped
+ * @param {Order} order
+ * @returns {Date}
+ */
+function getTaxDate(order) {
+  return order.deliveredAt ?? order.orderedAt;
+}
+
+/**
+ * Check whether an order counts towards a period. Orders cancelled in the same period never count.
+ * @param {Order} order
+ * @param {Date} start Start of the period, inclusive
+ * @param {Date} end End of the period, exclusive
+ * @returns {boolean}
+ */
+function isInPeriod(order, start, end) {
+  return isBetween(getTaxDate(order), start, end) && !(order.cancelledAt && isBetween(order.cancelledAt, start, end));
+}
+
+/**
+ * Check whether an order counted towards an earlier period but was cancelled in this one, so its ETV comes off
+ * this period's total
+ * @param {Order} order
+ * @param {Date} start Start of the period, inclusive
+ * @param {Date} end End of the period, exclusive
+ * @returns {boolean}
+ */
+function isPriorCancellation(order, start, end) {
+  return getTaxDate(order) < start && Boolean(order.cancelledAt && isBetween(order.cancelledAt, start, end));
+}
+
+/**
+ * Check whether an order counts towards a tax year. Orders cancelled in the same year never count.
+ * @param {Order} order
+ * @param {number} year
+ * @returns {boolean}
+ */
+function isInTaxYear(order, year) {
+  return isInPeriod(order, ...getYearBounds(year));
+}
+
+/**
+ * Check whether an order counted towards an earlier tax year but was cancelled in this one, so its ETV
+ * comes off this year's total
+ * @param {Order} order
+ * @param {number} year
+ * @returns {boolean}
+ */
+function isPriorYearCancellation(order, year) {
+  return isPriorCancellation(order, ...getYearBounds(year));
+}
+
+/**
+ * @typedef {object} PeriodSummary
+ * @prop {Order[]} orders Orders that count towards the period
+ * @prop {Order[]} bad Orders in the period the reviewer never got any value from
+ * @prop {Order[]} adjusted All other orders in the period
+ * @prop {Order[]} cancelPrior Orders from before the period that were cancelled in it
+ * @prop {number} totalEtv Total original ETV, less prior cancellations
+ * @prop {number} totalAdjustedEtv Total adjusted ETV, less prior cancellations
+ * @prop {number} badTotalAdjustment How much adjusting the bad orders took off their ETV
+ * @prop {number} otherTotalAdjustment How much adjusting all other orders took off their ETV
+ */
+/**
+ * @typedef {PeriodSummary & { year: number }} TaxYearSummary
+ */
+/**
+ * Summarize any period, the same way as a tax year
+ * @param {Order[]} orders Orders that might fall in the period, including cancellations of earlier orders
+ * @param {Date} start Start of the period, inclusive
+ * @param {Date} end End of the period, exclusive
+ * @param {object} [options]
+ * @param {string[]} [options.badReasons] Reasons meaning the reviewer never got any value from an order
+ * @returns {PeriodSummary}
+ */
+function summarizePeriod(orders, start, end, { badReasons = [] } = {}) {
+  const ordersForPeriod = orders.filter(o => isInPeriod(o, start, end));
+  const cancelPrior = orders.filter(o => isPriorCancellation(o, start, end));
+  /** @param {Order} o */
+  const isBad = o => Boolean(o.etvReason && badReasons.includes(o.etvReason));
+  const bad = ordersForPeriod.filter(isBad);
+  const adjusted = ordersForPeriod.filter(o => !isBad(o));
+
+  const cancelledEtv = sum(cancelPrior, o => o.etv);
+  return {
+    orders: ordersForPeriod,
+    bad,
+    adjusted,
+    cancelPrior,
+    totalEtv: sum(ordersForPeriod, o => o.etv) - cancelledEtv,
+    totalAdjustedEtv: sum(ordersForPeriod, getAdjustedEtv) - cancelledEtv,
+    badTotalAdjustment: sum(bad, o => o.etv - getAdjustedEtv(o)),
+    otherTotalAdjustment: sum(adjusted, o => o.etv - getAdjustedEtv(o))
+  };
+}
+
+/**
+ * Summarize a tax year. Every report of a year's ETV is computed from this, so they always agree.
+ * @param {Order[]} orders Orders that might fall in the year, including cancellations of prior years' orders
+ * @param {number} year
+ * @param {object} [options]
+ * @param {string[]} [options.badReasons] Reasons meaning the reviewer never got any value from an order
+ * @returns {TaxYearSummary}
+ */
+function summarizeTaxYear(orders, year, options) {
+  return { year, ...summarizePeriod(orders, ...getYearBounds(year), options) };
+}
+
+/**
+ * Get the start and end of a year in local time
+ * @param {number} year
+ * @returns {[Date, Date]} Start of the year, inclusive, and start of the next year, exclusive
+ */
+function getYearBounds(year) {
+  return [new Date(year, 0, 1), new Date(year + 1, 0, 1)];
+}
+
+/**
+ * Check whether a date falls in a range
+ * @param {Date} d
+ * @param {Date} start Inclusive
+ * @param {Date} end Exclusive
+ * @returns {boolean}
+ */
+function isBetween(d, start, end) {
+  return d >= start && d < end;
+}
+
+/**
+ * IRS estimated tax payment periods. They aren't calendar quarters: the second is two months long and the fourth is
+ * four. Months are zero-based, and the last period's payment is due in January of the next year.
+ */
+const estimatedTaxPeriods = [
+  { quarter: 1, startMonth: 0, endMonth: 2, dueMonth: 3 },
+  { quarter: 2, startMonth: 3, endMonth: 4, dueMonth: 5 },
+  { quarter: 3, startMonth: 5, endMonth: 7, dueMonth: 8 },
+  { quarter: 4, startMonth: 8, endMonth: 11, dueMonth: 12 }
+];
+
+/**
+ * @typedef {object} EstimatedTaxPeriod
+ * @prop {number} quarter 1 to 4
+ * @prop {string} start First day of the period, as YYYY-MM-DD
+ * @prop {string} end Last day of the period, as YYYY-MM-DD
+ * @prop {string} due When the estimated payment for the period is due, as YYYY-MM-DD
+ * @prop {number} adjustedEtv Adjusted ETV of orders in the period, less prior-year orders cancelled in it
+ * @prop {number} cumulativeAdjustedEtv Adjusted ETV for the year up to the end of the period
+ * @prop {number} estimatedTax Estimated tax on the period's adjusted ETV
+ */
+/**
+ * @typedef {object} EstimatedTax
+ * @prop {number} marginalRate Marginal tax rate the estimates use, as a fraction
+ * @prop {EstimatedTaxPeriod[]} periods
+ * @prop {number | null} currentQuarter The period that's in progress, or null if the year isn't the current one
+ * @prop {number} monthsCompleted How many months of the year are over, from 0 to 12
+ * @prop {number} totalAdjustedEtv Adjusted ETV for the year so far
+ * @prop {number | null} projectedAdjustedEtv Adjusted ETV the year will end on if orders keep coming in at the rate
+ *   of the months that are over, or null until the first month is over
+ * @prop {number} estimatedTax Estimated tax on the year's adjusted ETV so far
+ * @prop {number | null} projectedTax Estimated tax on the projected adjusted ETV, or null if there's no projection
+ */
+/**
+ * Break a tax year's adjusted ETV down by IRS estimated tax period, and project it to the end of the year at the
+ * run-rate of the months that are over. Orders fall in the period of their shipped date, like they do for the year.
+ * The month in progress is left out of the projection, as a few days of orders would swing it wildly.
+ * @param {TaxYearSummary} summary
+ * @param {object} [options]
+ * @param {number} [options.marginalRate=0] Marginal tax rate, as a fraction
+ * @param {Date} [options.now] The current time
+ * @returns {EstimatedTax}
+ */
+function getEstimatedTax(summary, { marginalRate = 0, now = new Date() } = {}) {
+  const { year } = summary;
+  /**
+   * Adjusted ETV of orders with a tax date in the given months, less prior-year orders cancelled in them
+   * @param {(month: number) => boolean} inMonths
+   */
+  const adjustedEtvIn = inMonths => sum(summary.orders.filter(o => inMonths(getTaxDate(o).getMonth())), getAdjustedEtv)
+    - sum(summary.cancelPrior.filter(o => o.cancelledAt && inMonths(o.cancelledAt.getMonth())), o => o.etv);
+  let cumulativeAdjustedEtv = 0;
+  const periods = estimatedTaxPeriods.map(({ quarter, startMonth, endMonth, dueMonth }) => {
+    const adjustedEtv = adjustedEtvIn(month => month >= startMonth && month <= endMonth);
+    cumulativeAdjustedEtv += adjustedEtv;
+    return {
+      quarter,
+      start: getDateString(new Date(year, startMonth, 1)),
+      end: getDateString(new Date(year, endMonth + 1, 0)),
+      due: getDateString(new Date(year, dueMonth, 15)),
+      adjustedEtv,
+      cumulativeAdjustedEtv,
+      estimatedTax: adjustedEtv * marginalRate
+    };
+  });
+
+  let monthsCompleted = 0;
+  if (now.getFullYear() > year) {
+    monthsCompleted = 12;
+  } else if (now.getFullYear() === year) {
+    monthsCompleted = now.getMonth();
+  }
+  const projectedAdjustedEtv = monthsCompleted > 0
+    ? adjustedEtvIn(month => month < monthsCompleted) / monthsCompleted * 12
+    : null;
+  return {
+    marginalRate,
+    periods,
+    currentQuarter: now.getFullYear() === year
+      ? estimatedTaxPeriods.find(p => now.getMonth() <= p.endMonth)?.quarter ?? null
+      : null,
+    monthsCompleted,
+    totalAdjustedEtv: summary.totalAdjustedEtv,
+    projectedAdjustedEtv,
+    estimatedTax: summary.totalAdjustedEtv * marginalRate,
+    projectedTax: projectedAdjustedEtv === null ? null : projectedAdjustedEtv * marginalRate
+  };
+}
+
+/**
+ * Add up a value across orders
+ * @param {Order[]} orders
+ * @param {(order: Order) => number} fn Value to add up
+ * @returns {number}
+ */
+function sum(orders, fn) {
+  return orders.reduce((acc, o) => acc + fn(o), 0);
+}
+
+/**
+ * Get a date string in local time, which is the timezone option's once the addon has started
+ * @param {Date} d A date
+ * @returns {string} A date string like YYYY-MM-DD
+ */
+function getDateString(d) {
+  const month = (d.getMonth() + 1).toString().padStart(2, '0');
+  const day = d.getDate().toString().padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+}
+
+module.exports = {
+  getAdjustedEtv,
+  getDateString,
+  getEstimatedTax,
+  isInTaxYear,
+  isPriorYearCancellation,
+  summarizePeriod,
+  summarizeTaxYear
+};
@@ -0,0 +1,183 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('path');
+const { DatabaseSync } = require('node:sqlite');
+const { afterEach, beforeEach, describe, it, mock } = require('node:test');
+
+const { getVersion, migrate, runInTransaction } = require('../migrate');
+const migrations = require('../migrations');
+
+// The orders table as it was before versioning, which getVersion reports as v1
+const V1_SCHEMA = `CREATE TABLE orders (
+  number TEXT PRIMARY KEY,
+  asin TEXT,
+  product TEXT,
+  orderedAt TEXT,
+  deliveredAt TEXT,
+  etv REAL,
+  etvFactor REAL,
+  cancelled INTEGER DEFAULT 0,
+  etvReason TEXT,
+  notes TEXT
+)`;
+
+/**
+ * Create an in-memory DB at v1, with an order in it
+ * @returns {DatabaseSync}
+ */
+function createV1Db() {
+  const db = new DatabaseSync(':memory:');
+  db.exec(V1_SCHEMA);
+  db.prepare(`INSERT INTO orders (number, asin, product, orderedAt, etv, etvFactor)
+    VALUES ('111-0000001-0000001', 'B000000001', 'Widget', '2024-01-02T00:00:00.000Z', 12.5, 0.2)`).run();
+  return db;
+}
+
+/**
+ * Describe every table, index and trigger, with each table's columns, so two DBs' schemas can be compared
+ * @param {DatabaseSync} db
+ * @returns {Record<string, unknown>}
+ */
+function describeSchema(db) {
+  const objects = db.prepare(`SELECT type, name, tbl_name FROM sqlite_master WHERE name NOT LIKE 'sqlite_%'
+    ORDER BY type, name`).all();
+  return Object.fromEntries(objects.map(o => [`${o.type} ${o.name}`, o.type === 'table'
+    ? db.prepare(`PRAGMA table_info("${o.name}")`).all().map(c => ({ ...c }))
+    : o.tbl_name]));
+}
+
+beforeEach(() => {
+  // Migrations log their progress
+  mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('migrate', () => {
+  it('gives a v1 DB the same schema as a fresh DB', () => {
+    const fresh = new DatabaseSync(':memory:');
+    migrate(fresh);
+    const old = createV1Db();
+    assert.equal(getVersion(old), 1);
+    migrate(old);
+
+    const latest = migrations.at(-1)?.version;
+    assert.equal(getVersion(fresh), latest);
+    assert.equal(getVersion(old), latest);
+    assert.deepEqual(describeSchema(old), describeSchema(fresh));
+  });
+
+  it('keeps existing orders', () => {
+    const db = createV1Db();
+    migrate(db);
+    const order = db.prepare('SELECT product, etv, etvFactor, cancelledAt FROM orders').get();
+    assert.deepEqual({ ...order }, { product: 'Widget', etv: 12.5, etvFactor: 0.2, cancelledAt: null });
+  });
+
+  it('does nothing to a DB that\'s up to date', () => {
+    const db = new DatabaseSync(':memory:');
+    migrate(db);
+    const before = describeSchema(db);
+    migrate(db, { backupPath: () => assert.fail('Should not back up') });
+    assert.deepEqual(describeSchema(db), before);
+  });
+
+  it('rolls back a failing migration and leaves the version alone', () => {
+    const db = createV1Db();
+    assert.throws(() => migrate(db, {
+      migrations: [{
+        version: 2,
+        description: 'Fails halfway',
+        up(db) {
+          db.exec('ALTER TABLE orders ADD COLUMN halfway TEXT');
+          throw new Error('Boom');
+        }
+      }]
+    }), err => {
+      const { message, cause } = /** @type {Error & { cause: Error }} */ (err);
+      assert.match(message, /Migration to v2 \(Fails halfway\) failed, changes rolled back/);
+      assert.equal(cause.message, 'Boom');
+      return true;
+    });
+    assert.equal(getVersion(db), 1);
+    const columns = db.prepare('PRAGMA table_info(orders)').all().map(c => c.name);
+    assert.equal(columns.includes('halfway'), false);
+  });
+
+  it('keeps migrations that succeeded before one that failed', () => {
+    const db = createV1Db();
+    assert.throws(() => migrate(db, {
+      migrations: [migrations[0], { version: 3, description: 'Fails', up() { throw new Error('Boom'); } }]
+    }));
+    assert.equal(getVersion(db), 2);
+  });
+
+  it('refuses a DB from a newer version', () => {
+    const db = new DatabaseSync(':memory:');
+    migrate(db);
+    const latest = migrations.at(-1)?.version ?? 1;
+    db.exec(`PRAGMA user_version = ${latest + 1}`);
+    assert.throws(() => migrate(db), new RegExp(`DB is at v${latest + 1}, which is newer than the latest known v${latest}`));
+    assert.equal(getVersion(db), latest + 1);
+  });
+
+  it('backs up the DB before migrating', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vinetracker-test-'));
+    try {
+      const db = createV1Db();
+      /** @type {number[]} */
+      const fromVersions = [];
+      migrate(db, {
+        backupPath: fromVersion => {
+          fromVersions.push(fromVersion);
+          return path.join(dir, `vinetracker.v${fromVersion}.db.bak`);
+        }
+      });
+      assert.deepEqual(fromVersions, [1]);
+
+      const backup = new DatabaseSync(path.join(dir, 'vinetracker.v1.db.bak'));
+      try {
+        assert.equal(getVersion(backup), 1);
+        assert.equal(backup.prepare('SELECT COUNT(*) AS count FROM orders').get()?.count, 1);
+      } finally {
+        backup.close();
+      }
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('runInTransaction', () => {
+  it('commits when the function returns', () => {
+    const db = createV1Db();
+    runInTransaction(db, () => {
+      db.exec(`UPDATE orders SET etv = 20`);
+    });
+    assert.equal(db.prepare('SELECT etv FROM orders').get()?.etv, 20);
+  });
+
+  it('rolls back and rethrows when the function throws', () => {
+    const db = createV1Db();
+    assert.throws(() => runInTransaction(db, () => {
+      db.exec(`UPDATE orders SET etv = 20`);
+      throw new Error('Boom');
+    }), /Boom/);
+    assert.equal(db.prepare('SELECT etv FROM orders').get()?.etv, 12.5);
+  });
+
+  it('rolls back only the inner call when a nested call throws', () => {
+    const db = createV1Db();
+    runInTransaction(db, () => {
+      db.exec(`UPDATE orders SET etv = 20`);
+      assert.throws(() => runInTransaction(db, () => {
+        db.exec(`UPDATE orders SET product = 'Gadget'`);
+        throw new Error('Boom');
+      }));
+    });
+    assert.deepEqual({ ...db.prepare('SELECT etv, product FROM orders').get() }, { etv: 20, product: 'Widget' });
+  });
+});
@@ -0,0 +1,87 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { parseOrderFile } = require('../parse');
+const { mergeImportedOrder, validateRow } = require('../xlsx');
+
+const header = 'Order Number,ASIN,Product Name,Order Date,Shipped Date,Estimated Tax Value';
+const product = 'Café Widget “Deluxe”';
+
+describe('parseOrderFile', () => {
+  it('reads CSV files as UTF-8', async () => {
+    const csv = `${header}\n111-0000001-0000001,B000000001,${product},2025-01-02,2025-01-03,12.34\n`;
+    const [row] = await parseOrderFile(Buffer.from(csv, 'utf-8'), 'orders.csv');
+    assert.equal(row.product, product);
+    assert.equal(row.number, '111-0000001-0000001');
+    assert.equal(row.etvStr, '12.34');
+  });
+
+  it('skips a UTF-8 byte order mark', async () => {
+    const csv = `﻿${header}\n111-0000001-0000001,B000000001,${product},2025-01-02,2025-01-03,12.34\n`;
+    const [row] = await parseOrderFile(Buffer.from(csv, 'utf-8'), 'orders.csv');
+    assert.equal(row.number, '111-0000001-0000001');
+    assert.equal(row.product, product);
+  });
+
+  it('falls back to Windows-1252 for CSV files that aren\'t UTF-8', async () => {
+    const csv = Buffer.concat([
+      Buffer.from(`${header}\n111-0000001-0000001,B000000001,Caf`),
+      Buffer.from([0xe9, 0x20, 0x93, 0x44, 0x94]),
+      Buffer.from(',2025-01-02,2025-01-03,12.34\n')
+    ]);
+    const [row] = await parseOrderFile(csv, 'orders.csv');
+    assert.equal(row.product, 'Café “D”');
+  });
+
+  it('picks the CSV parser from the MIME type when the file has no extension', async () => {
+    const csv = `${header}\n111-0000001-0000001,B000000001,${product},2025-01-02,2025-01-03,12.34\n`;
+    const [row] = await parseOrderFile(Buffer.from(csv, 'utf-8'), 'orders', { mimetype: 'text/csv' });
+    assert.equal(row.product, product);
+  });
+});
+
+describe('mergeImportedOrder', () => {
+  const stored = /** @type {import('../index').Order} */ ({
+    accountId: 1,
+    number: '111-0000001-0000001',
+    asin: 'B000000001',
+    product: 'Widget',
+    orderedAt: new Date('2025-01-02T00:00:00.000Z'),
+    deliveredAt: new Date('2025-01-03T10:00:00.000Z'),
+    etv: 12.34,
+    etvFactor: null
+  });
+
+  /**
+   * Parse a CSV file and validate its only row as an order
+   * @param {string} csv
+   */
+  async function importOne(csv) {
+    const [row] = await parseOrderFile(Buffer.from(csv, 'utf-8'), 'orders.csv');
+    const validated = validateRow(row);
+    assert.equal(validated.kind, 'order');
+    return /** @type {import('../xlsx').ValidOrderRow} */ (validated);
+  }
+
+  it('keeps the stored shipped date when the file has no shipped date column', async () => {
+    const validated = await importOne('Order Number,ASIN,Product Name,Order Date,Estimated Tax Value\n111-0000001-0000001,B000000001,Widget,2025-01-02,12.34\n');
+    assert.equal(validated.hasDeliveredAt, false);
+    assert.deepEqual(mergeImportedOrder(validated, stored).deliveredAt, stored.deliveredAt);
+  });
+
+  it('clears the shipped date when the file says the order hasn\'t shipped', async () => {
+    const validated = await importOne(`${header}\n111-0000001-0000001,B000000001,Widget,2025-01-02,,12.34\n`);
+    assert.equal(validated.hasDeliveredAt, true);
+    assert.equal(mergeImportedOrder(validated, stored).deliveredAt, undefined);
+  });
+
+  it('takes the shipped date from the file when it has one', async () => {
+    const validated = await importOne(`${header}\n111-0000001-0000001,B000000001,Widget,2025-01-02,2025-01-04T00:00:00Z,12.34\n`);
+    assert.deepEqual(mergeImportedOrder(validated, stored).deliveredAt, new Date('2025-01-04T00:00:00Z'));
+  });
+
+  it('takes the file\'s order as is for new orders', async () => {
+    const validated = await importOne('Order Number,ASIN,Product Name,Order Date,Estimated Tax Value\n111-0000001-0000001,B000000001,Widget,2025-01-02,12.34\n');
+    assert.equal(mergeImportedOrder(validated, undefined), validated.order);
+  });
+});
@@ -0,0 +1,118 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('path');
+const { after, before, describe, it } = require('node:test');
+
+const { PriceSourceError, createFileSource, getMedianPrice, manualSource } = require('../price-sources');
+
+const order = /** @type {import('../index').Order} */ ({
+  accountId: 1,
+  number: '111-0000001-0000001',
+  asin: 'B000000001',
+  product: 'Widget',
+  orderedAt: new Date(2025, 0, 2),
+  etv: 20,
+  etvFactor: null
+});
+
+describe('manualSource', () => {
+  it('records the price the user entered', async () => {
+    const [quote] = await manualSource.lookup(order, {
+      source: ' eBay sold listing ',
+      url: 'https://www.ebay.com/itm/1',
+      price: 12.5,
+      checkedAt: '2025-01-31T00:00:00.000Z'
+    });
+    assert.deepEqual(quote, {
+      source: 'eBay sold listing',
+      url: 'https://www.ebay.com/itm/1',
+      price: 12.5,
+      checkedAt: new Date('2025-01-31T00:00:00.000Z')
+    });
+  });
+
+  it('defaults to no link, checked now', async () => {
+    const [quote] = await manualSource.lookup(order, { source: 'Store shelf', price: 0 });
+    assert.equal(quote.url, null);
+    assert.ok(Date.now() - quote.checkedAt.getTime() < 60 * 1000);
+  });
+
+  for (const [name, input, message] of /** @type {[string, unknown, RegExp][]} */ ([
+    ['no input', undefined, /Invalid source/],
+    ['a blank source', { source: ' ', price: 1 }, /Invalid source/],
+    ['a URL that isn\'t http(s)', { source: 'eBay', url: 'javascript:alert(1)', price: 1 }, /Invalid url/],
+    ['a negative price', { source: 'eBay', price: -1 }, /Invalid price/],
+    ['a price that isn\'t a number', { source: 'eBay', price: '12' }, /Invalid price/],
+    ['an invalid date', { source: 'eBay', price: 1, checkedAt: 'soon' }, /Invalid checkedAt/]
+  ])) {
+    it(`rejects ${name}`, async () => {
+      await assert.rejects(manualSource.lookup(order, input), err => err instanceof PriceSourceError && message.test(err.message));
+    });
+  }
+});
+
+describe('createFileSource', () => {
+  /** @type {string} */
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vinetracker-test-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reads prices for the order\'s ASIN, skipping entries that aren\'t prices', async () => {
+    const filePath = path.join(dir, 'prices.json');
+    fs.writeFileSync(filePath, JSON.stringify({
+      B000000001: [
+        { source: 'eBay', url: 'https://www.ebay.com/itm/1', price: 12.5, checkedAt: '2025-01-31T00:00:00.000Z' },
+        { price: 10 },
+        { source: 'Broken', price: 'free' },
+        { source: 'Refund', price: -5 }
+      ],
+      B000000002: [{ source: 'Other', price: 99 }]
+    }));
+    const quotes = await createFileSource(filePath).lookup(order);
+    assert.equal(quotes.length, 2);
+    assert.deepEqual(quotes[0], {
+      source: 'eBay',
+      url: 'https://www.ebay.com/itm/1',
+      price: 12.5,
+      checkedAt: new Date('2025-01-31T00:00:00.000Z')
+    });
+    assert.equal(quotes[1].source, 'Local price file');
+    assert.equal(quotes[1].url, null);
+    assert.equal(quotes[1].price, 10);
+  });
+
+  it('finds nothing for an ASIN that isn\'t in the file', async () => {
+    const filePath = path.join(dir, 'other.json');
+    fs.writeFileSync(filePath, JSON.stringify({ B000000002: [{ price: 1 }] }));
+    assert.deepEqual(await createFileSource(filePath).lookup(order), []);
+  });
+
+  it('fails when the file is missing or invalid', async () => {
+    await assert.rejects(createFileSource(path.join(dir, 'missing.json')).lookup(order), /No price file found/);
+    const filePath = path.join(dir, 'invalid.json');
+    fs.writeFileSync(filePath, '{');
+    await assert.rejects(createFileSource(filePath).lookup(order), err => err instanceof PriceSourceError && /Failed to read price file/.test(err.message));
+  });
+});
+
+describe('getMedianPrice', () => {
+  it('is null without any prices', () => {
+    assert.equal(getMedianPrice([]), null);
+  });
+
+  it('is the middle price of an odd number of prices', () => {
+    assert.equal(getMedianPrice([{ price: 30 }, { price: 10 }, { price: 20 }]), 20);
+    assert.equal(getMedianPrice([{ price: 7 }]), 7);
+  });
+
+  it('is the average of the middle two of an even number of prices', () => {
+    assert.equal(getMedianPrice([{ price: 40 }, { price: 10 }, { price: 30 }, { price: 20 }]), 25);
+  });
+});
@@ -0,0 +1,162 @@
+const assert = require('node:assert/strict');
+const { afterEach, describe, it } = require('node:test');
+
+const { getEstimatedTax, isInTaxYear, isPriorYearCancellation, summarizeTaxYear } = require('../tax-year');
+
+const originalTz = process.env.TZ;
+
+/**
+ * Build an order with just the fields the tax year logic reads
+ * @param {Partial<import('../index').Order>} fields
+ * @returns {import('../index').Order}
+ */
+function order(fields) {
+  return /** @type {import('../index').Order} */ ({
+    accountId: 1,
+    number: '111-0000000-0000000',
+    asin: 'B000000000',
+    product: 'Widget',
+    orderedAt: new Date(2024, 0, 1),
+    etv: 100,
+    etvFactor: null,
+    ...fields
+  });
+}
+
+afterEach(() => {
+  process.env.TZ = originalTz;
+});
+
+describe('isInTaxYear', () => {
+  it('splits orders at local midnight on January 1', () => {
+    const lastMinute = order({ deliveredAt: new Date(2024, 11, 31, 23, 30) });
+    const firstMinute = order({ deliveredAt: new Date(2025, 0, 1, 0, 0) });
+    assert.equal(isInTaxYear(lastMinute, 2024), true);
+    assert.equal(isInTaxYear(lastMinute, 2025), false);
+    assert.equal(isInTaxYear(firstMinute, 2024), false);
+    assert.equal(isInTaxYear(firstMinute, 2025), true);
+  });
+
+  it('uses the local timezone for year boundaries', () => {
+    // 03:00 UTC on January 1 is still New Year's Eve in New York
+    const shipped = order({ deliveredAt: new Date('2025-01-01T03:00:00Z') });
+    process.env.TZ = 'UTC';
+    assert.equal(isInTaxYear(shipped, 2025), true);
+    process.env.TZ = 'America/New_York';
+    assert.equal(isInTaxYear(shipped, 2024), true);
+    assert.equal(isInTaxYear(shipped, 2025), false);
+  });
+
+  it('falls back to the order date for orders that haven\'t shipped', () => {
+    const unshipped = order({ orderedAt: new Date(2024, 5, 1) });
+    assert.equal(isInTaxYear(unshipped, 2024), true);
+  });
+
+  it('leaves out orders cancelled in the same year', () => {
+    const cancelled = order({ deliveredAt: new Date(2024, 2, 1), cancelledAt: new Date(2024, 3, 1) });
+    assert.equal(isInTaxYear(cancelled, 2024), false);
+    assert.equal(isPriorYearCancellation(cancelled, 2024), false);
+  });
+});
+
+describe('isPriorYearCancellation', () => {
+  it('counts an order in the year it shipped and takes it off the year it was cancelled', () => {
+    const cancelledNextYear = order({ deliveredAt: new Date(2024, 10, 1), cancelledAt: new Date(2025, 1, 1) });
+    assert.equal(isInTaxYear(cancelledNextYear, 2024), true);
+    assert.equal(isPriorYearCancellation(cancelledNextYear, 2024), false);
+    assert.equal(isInTaxYear(cancelledNextYear, 2025), false);
+    assert.equal(isPriorYearCancellation(cancelledNextYear, 2025), true);
+  });
+});
+
+describe('summarizeTaxYear', () => {
+  const orders = [
+    order({ number: 'full', deliveredAt: new Date(2024, 1, 1), etv: 50, etvFactor: null }),
+    order({ number: 'half', deliveredAt: new Date(2024, 2, 1), etv: 40, etvFactor: 0.5 }),
+    order({ number: 'same-year', deliveredAt: new Date(2024, 3, 1), etv: 30, cancelledAt: new Date(2024, 4, 1) }),
+    order({ number: 'next-year', deliveredAt: new Date(2024, 10, 1), etv: 20, cancelledAt: new Date(2025, 1, 1) }),
+    order({ number: 'bad', deliveredAt: new Date(2024, 6, 1), etv: 10, etvFactor: 0, etvReason: 'Damaged/defective' })
+  ];
+
+  it('counts unadjusted orders at full ETV and leaves out same-year cancellations', () => {
+    const summary = summarizeTaxYear(orders, 2024, { badReasons: ['Damaged/defective'] });
+    assert.deepEqual(summary.orders.map(o => o.number), ['full', 'half', 'next-year', 'bad']);
+    assert.equal(summary.totalEtv, 120);
+    assert.equal(summary.totalAdjustedEtv, 50 + 20 + 20);
+    assert.deepEqual(summary.bad.map(o => o.number), ['bad']);
+    assert.equal(summary.badTotalAdjustment, 10);
+    assert.equal(summary.otherTotalAdjustment, 20);
+    assert.deepEqual(summary.cancelPrior, []);
+  });
+
+  it('takes prior-year orders cancelled this year off the totals', () => {
+    const summary = summarizeTaxYear(orders, 2025);
+    assert.deepEqual(summary.orders, []);
+    assert.deepEqual(summary.cancelPrior.map(o => o.number), ['next-year']);
+    assert.equal(summary.totalEtv, -20);
+    assert.equal(summary.totalAdjustedEtv, -20);
+  });
+});
+
+describe('getEstimatedTax', () => {
+  it('puts May 31 in the second period and June 1 in the third', () => {
+    const summary = summarizeTaxYear([
+      order({ deliveredAt: new Date(2024, 4, 31, 23, 59), etv: 10 }),
+      order({ deliveredAt: new Date(2024, 5, 1), etv: 20 })
+    ], 2024);
+    const { periods } = getEstimatedTax(summary, { marginalRate: 0.5, now: new Date(2025, 0, 1) });
+    assert.deepEqual(periods.map(p => [p.start, p.end, p.due]), [
+      ['2024-01-01', '2024-03-31', '2024-04-15'],
+      ['2024-04-01', '2024-05-31', '2024-06-15'],
+      ['2024-06-01', '2024-08-31', '2024-09-15'],
+      ['2024-09-01', '2024-12-31', '2025-01-15']
+    ]);
+    assert.deepEqual(periods.map(p => p.adjustedEtv), [0, 10, 20, 0]);
+    assert.deepEqual(periods.map(p => p.cumulativeAdjustedEtv), [0, 10, 30, 30]);
+    assert.deepEqual(periods.map(p => p.estimatedTax), [0, 5, 10, 0]);
+  });
+
+  it('takes prior-year cancellations off the period they were cancelled in', () => {
+    const summary = summarizeTaxYear([
+      order({ deliveredAt: new Date(2024, 10, 1), etv: 20, cancelledAt: new Date(2025, 3, 1) })
+    ], 2025);
+    const { periods } = getEstimatedTax(summary, { now: new Date(2026, 0, 1) });
+    assert.deepEqual(periods.map(p => p.adjustedEtv), [0, -20, 0, 0]);
+  });
+
+  it('projects the year from the run-rate of the months that are over', () => {
+    const summary = summarizeTaxYear([
+      order({ deliveredAt: new Date(2024, 0, 15), etv: 100 }),
+      order({ deliveredAt: new Date(2024, 6, 1), etv: 50 })
+    ], 2024);
+    const estimate = getEstimatedTax(summary, { marginalRate: 0.2, now: new Date(2024, 6, 2) });
+    assert.equal(estimate.currentQuarter, 3);
+    assert.equal(estimate.monthsCompleted, 6);
+    assert.equal(estimate.projectedAdjustedEtv, 200);
+    assert.equal(estimate.estimatedTax, 30);
+    assert.equal(estimate.projectedTax, 40);
+  });
+
+  it('has no projection in the first month of the year', () => {
+    const summary = summarizeTaxYear([order({ deliveredAt: new Date(2024, 0, 1, 9), etv: 100 })], 2024);
+    const estimate = getEstimatedTax(summary, { marginalRate: 0.2, now: new Date(2024, 0, 1, 12) });
+    assert.equal(estimate.currentQuarter, 1);
+    assert.equal(estimate.monthsCompleted, 0);
+    assert.equal(estimate.projectedAdjustedEtv, null);
+    assert.equal(estimate.estimatedTax, 20);
+    assert.equal(estimate.projectedTax, null);
+  });
+
+  it('projects a year that is over as its total', () => {
+    const summary = summarizeTaxYear([order({ deliveredAt: new Date(2024, 11, 31), etv: 100 })], 2024);
+    const estimate = getEstimatedTax(summary, { now: new Date(2025, 0, 2) });
+    assert.equal(estimate.projectedAdjustedEtv, 100);
+  });
+
+  it('has no current period for other years', () => {
+    const summary = summarizeTaxYear([], 2024);
+    const estimate = getEstimatedTax(summary, { now: new Date(2026, 6, 1) });
+    assert.equal(estimate.currentQuarter, null);
+    assert.equal(estimate.monthsCompleted, 12);
+  });
+});
@@ -0,0 +1,46 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { vineHtmlParse } = require('../vine-html');
+const { mergeImportedOrder, validateRow } = require('../xlsx');
+
+// A row of a saved Vine Orders page, trimmed to what the parser reads
+const page = `<html><body><table>
+<tr class="vvp-orders-table--row">
+  <td><span class="a-truncate-full">Café Widget &amp; Stand</span></td>
+  <td data-order-timestamp="1735819200000">01/02/2025</td>
+  <td>$12.34</td>
+  <td><a href="https://www.amazon.com/dp/B000000001">View</a>
+    <a href="https://www.amazon.com/gp/your-account/order-details?orderID=111-0000001-0000001">Details</a></td>
+</tr>
+</table></body></html>`;
+
+describe('vineHtmlParse', () => {
+  it('reads orders from a saved Orders page', async () => {
+    const [row] = await vineHtmlParse(Buffer.from(page, 'utf-8'));
+    assert.equal(row.number, '111-0000001-0000001');
+    assert.equal(row.asin, 'B000000001');
+    assert.equal(row.product, 'Café Widget & Stand');
+    assert.equal(row.orderedAtStr, new Date(1735819200000).toISOString());
+    assert.equal(row.etvStr, '$12.34');
+  });
+
+  it('keeps the shipped date of an order that was imported before', async () => {
+    const stored = /** @type {import('../index').Order} */ ({
+      accountId: 1,
+      number: '111-0000001-0000001',
+      asin: 'B000000001',
+      product: 'Café Widget & Stand',
+      orderedAt: new Date(1735819200000),
+      deliveredAt: new Date('2025-01-03T10:00:00.000Z'),
+      etv: 12.34,
+      etvFactor: null
+    });
+    const [row] = await vineHtmlParse(Buffer.from(page, 'utf-8'));
+    const validated = validateRow(row);
+    assert.equal(validated.kind, 'order');
+    const order = mergeImportedOrder(/** @type {import('../xlsx').ValidOrderRow} */ (validated), stored);
+    assert.deepEqual(order.deliveredAt, stored.deliveredAt);
+    assert.equal(order.etv, stored.etv);
+  });
+});
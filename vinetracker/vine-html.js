@@ -0,0 +1,75 @@
+const { xlsxParse } = require('./xlsx');
+
+/**
+ * Parse a saved Vine "Orders" page into an array of objects for Vine orders. The page doesn't show order
+ * numbers as text, so they're read from the order details links. Pages without Vine order rows are parsed
+ * as a plain HTML table with the usual spreadsheet headers.
+ * @param {Buffer} buffer buffer to parse
+ * @param {object} [options]
+ * @param {import('./xlsx').ColumnMapping} [options.columnMapping] Headers to use in place of the known ones, for plain tables
+ * @returns {Promise<import('./xlsx').Row[]>} Parsed data
+ * @throws {import('./xlsx').ImportFormatError} If the page has neither Vine order rows nor a recognizable table
+ */
+async function vineHtmlParse(buffer, options) {
+  const html = buffer.toString('utf-8');
+  /** @type {import('./xlsx').Row[]} */
+  const rows = [];
+
+  for (const match of html.matchAll(/<tr\b[^>]*>([\s\S]*?)<\/tr>/gi)) {
+    const rowHtml = match[1];
+    const number = /orderID=([\d-]+)/i.exec(rowHtml)?.[1];
+    if (!number) continue;
+
+    const asin = /\/dp\/([A-Z0-9]{10})/i.exec(rowHtml)?.[1] ?? '';
+    const productHtml = /<span[^>]*class="[^"]*a-truncate-full[^"]*"[^>]*>([\s\S]*?)<\/span>/i.exec(rowHtml)?.[1]
+      ?? /<a[^>]*href="[^"]*\/dp\/[^"]*"[^>]*>([\s\S]*?)<\/a>/i.exec(rowHtml)?.[1]
+      ?? '';
+    const timestamp = /data-order-timestamp="(\d+)"/i.exec(rowHtml)?.[1];
+    const cells = Array.from(rowHtml.matchAll(/<td\b[^>]*>([\s\S]*?)<\/td>/gi), m => toText(m[1]));
+    const orderedAtStr = timestamp
+      ? new Date(Number(timestamp)).toISOString()
+      : cells.find(c => /^\d{1,2}\/\d{1,2}\/\d{2,4}$/.test(c)) ?? '';
+    const etvStr = cells.find(c => /^\$\s?[\d,]+\.\d{2}$/.test(c)) ?? '';
+
+    rows.push({
+      line: html.slice(0, match.index).split('\n').length,
+      number,
+      asin,
+      product: toText(productHtml),
+      type: 'ORDER',
+      orderedAtStr,
+      // The page doesn't show shipped dates, so leave any that were imported before alone
+      deliveredAtStr: undefined,
+      cancelledDateStr: '',
+      etvStr,
+      etvFactor: null
+    });
+  }
+
+  if (rows.length) return rows;
+  return xlsxParse(buffer, options);
+}
+
+/**
+ * Convert an HTML fragment to plain text
+ * @param {string} fragment HTML fragment
+ * @returns {string}
+ */
+function toText(fragment) {
+  return fragment
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+module.exports = {
+  vineHtmlParse
+};
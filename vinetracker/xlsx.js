@@ -2,76 +2,318 @@ const XLSX = require('xlsx');
 
 /**
  * @typedef {object} Row
+ * @prop {number} line Line number in the spreadsheet, 1-based
  * @prop {string} number
  * @prop {string} asin
  * @prop {string} product
  * @prop {string} type
  * @prop {string} orderedAtStr
- * @prop {string} deliveredAtStr
+ * @prop {string | undefined} deliveredAtStr Empty if the order hasn't shipped, or undefined if the file has no shipped
+ *   date column
  * @prop {string} cancelledDateStr
  * @prop {string} etvStr
  * @prop {number | null} etvFactor
  */
 /**
- * Parse an Excel spreadsheet from the buffer into an array of objects for Vine orders
+ * @typedef {'number' | 'asin' | 'product' | 'type' | 'orderedAt' | 'deliveredAt' | 'cancelledAt' | 'etv' | 'etvFactor'} Field
+ */
+/**
+ * @typedef {Partial<Record<Field, string>>} ColumnMapping Header to use for each field, overriding the known headers
+ */
+
+/**
+ * Headers seen in Vine exports for each field, in order of preference. Compared after normalizing.
+ * @type {Record<Field, string[]>}
+ */
+const knownHeaders = {
+  number: ['Order Number', 'Order ID', 'Order #'],
+  asin: ['ASIN'],
+  product: ['Product Name', 'Product', 'Title', 'Item Name'],
+  type: ['Order Type', 'Type'],
+  orderedAt: ['Order Date', 'Ordered Date', 'Date Ordered'],
+  deliveredAt: ['Shipped Date', 'Ship Date', 'Delivered Date', 'Delivery Date'],
+  cancelledAt: ['Cancelled Date', 'Canceled Date', 'Cancellation Date'],
+  etv: ['Estimated Tax Value', 'ETV', 'Tax Value'],
+  etvFactor: ['ETV Factor']
+};
+/** @type {Field[]} */
+const requiredFields = ['number', 'orderedAt', 'etv'];
+// Vine exports have a title block above the headers, so look a little way down each sheet for them
+const MAX_HEADER_ROW = 20;
+
+/**
+ * Thrown when no sheet in an uploaded file has a recognizable header row
+ */
+class ImportFormatError extends Error {
+  /**
+   * @param {string} message
+   * @param {string[]} headers Headers found in the file
+   */
+  constructor(message, headers) {
+    super(message);
+    this.name = 'ImportFormatError';
+    this.headers = headers;
+  }
+}
+
+/**
+ * Parse an Excel spreadsheet from the buffer into an array of objects for Vine orders. Every sheet is
+ * searched for a header row, so the export may have any number of title rows above the headers.
+ * @param {Buffer} buffer buffer to parse
+ * @param {object} [options]
+ * @param {ColumnMapping} [options.columnMapping] Headers to use in place of the known ones
+ * @returns {Promise<Row[]>} Parsed data
+ * @throws {ImportFormatError} If no sheet has the required columns
+ */
+async function xlsxParse(buffer, { columnMapping = {} } = {}) {
+  const workbook = XLSX.read(buffer, { type: 'buffer', raw: true });
+  return parseWorkbook(workbook, columnMapping);
+}
+
+/**
+ * Parse a CSV file from the buffer into an array of objects for Vine orders, like an Excel spreadsheet. Product
+ * names often aren't plain ASCII, so the file is read as UTF-8, or as Windows-1252 if it isn't valid UTF-8, which
+ * is what Excel saves CSV files as.
  * @param {Buffer} buffer buffer to parse
+ * @param {object} [options]
+ * @param {ColumnMapping} [options.columnMapping] Headers to use in place of the known ones
  * @returns {Promise<Row[]>} Parsed data
+ * @throws {ImportFormatError} If the file doesn't have the required columns
+ */
+async function csvParse(buffer, { columnMapping = {} } = {}) {
+  let text;
+  try {
+    text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    // Not UTF-8, so read it as Windows-1252 below
+  }
+  // raw keeps values as text, rather than guessing at dates and numbers
+  const workbook = text === undefined
+    ? XLSX.read(buffer, { type: 'buffer', raw: true, codepage: 1252 })
+    : XLSX.read(text, { type: 'string', raw: true });
+  return parseWorkbook(workbook, columnMapping);
+}
+
+/**
+ * Parse a JSON array of order objects, keyed by the same headers as a spreadsheet export, into an array
+ * of objects for Vine orders. Also accepts an object with an `orders` array, like the /json export.
+ * @param {Buffer} buffer buffer to parse
+ * @param {object} [options]
+ * @param {ColumnMapping} [options.columnMapping] Keys to use in place of the known headers
+ * @returns {Promise<Row[]>} Parsed data
+ * @throws {ImportFormatError} If the JSON isn't a list of orders with the required keys
+ */
+async function jsonParse(buffer, { columnMapping = {} } = {}) {
+  /** @type {unknown} */
+  let data;
+  try {
+    data = JSON.parse(buffer.toString('utf-8'));
+  } catch (err) {
+    throw new ImportFormatError(`Invalid JSON: ${/** @type {Error} */ (err).message}`, []);
+  }
+  const orders = Array.isArray(data) ? data : /** @type {{ orders?: unknown }} */ (data)?.orders;
+  if (!Array.isArray(orders)) {
+    throw new ImportFormatError('Unrecognized JSON layout. Expected a list of orders.', []);
+  }
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(orders), 'Orders');
+  return parseWorkbook(workbook, columnMapping);
+}
+
+/**
+ * Find the header row in each sheet of a workbook and parse the rows beneath it
+ * @param {XLSX.WorkBook} workbook
+ * @param {ColumnMapping} columnMapping Headers to use in place of the known ones
+ * @returns {Row[]} Parsed data
+ * @throws {ImportFormatError} If no sheet has the required columns
+ */
+function parseWorkbook(workbook, columnMapping) {
+  /** @type {string[]} */
+  let headersFound = [];
+  for (const sheetName of workbook.SheetNames) {
+    const worksheet = workbook.Sheets[sheetName];
+    if (!worksheet['!ref']) continue;
+    const firstRow = XLSX.utils.decode_range(worksheet['!ref']).s.r;
+    /** @type {unknown[][]} */
+    const rows = XLSX.utils.sheet_to_json(worksheet, { header: 1, raw: false, defval: '', blankrows: true });
+
+    for (let headerIdx = 0; headerIdx < Math.min(rows.length, MAX_HEADER_ROW); headerIdx++) {
+      const headers = rows[headerIdx].map(h => String(h).trim());
+      const columns = findColumns(headers, columnMapping);
+      if (!columns) {
+        if (headers.filter(Boolean).length > headersFound.length) {
+          headersFound = headers.filter(Boolean);
+        }
+        continue;
+      }
+
+      return rows.slice(headerIdx + 1).flatMap((values, idx) => {
+        if (values.every(v => String(v).trim() === '')) return [];
+        const row = toRow(values, columns);
+        return [{ line: firstRow + headerIdx + idx + 2, ...row }];
+      });
+    }
+  }
+
+  const missing = requiredFields.map(f => columnMapping[f] || knownHeaders[f][0]).join(', ');
+  throw new ImportFormatError(
+    `Unrecognized spreadsheet layout. Expected columns including ${missing}. Headers found: ${headersFound.length ? headersFound.join(', ') : '(none)'}`,
+    headersFound
+  );
+}
+
+/**
+ * Normalize a header for comparison, ignoring case, spacing and punctuation
+ * @param {string} header
+ * @returns {string}
+ */
+function normalizeHeader(header) {
+  return header.toLowerCase().replace(/[^a-z0-9#]/g, '');
+}
+
+/**
+ * Find the column index of each field in a candidate header row
+ * @param {string[]} headers Candidate header row
+ * @param {ColumnMapping} columnMapping Headers to use in place of the known ones
+ * @returns {Partial<Record<Field, number>> | null} Column index for each field found, or null if a required one is missing
+ */
+function findColumns(headers, columnMapping) {
+  const normalized = headers.map(normalizeHeader);
+  /** @type {Partial<Record<Field, number>>} */
+  const columns = {};
+  for (const field of /** @type {Field[]} */ (Object.keys(knownHeaders))) {
+    // The field name itself is accepted too, so our own JSON export can be imported
+    const candidates = columnMapping[field] ? [columnMapping[field]] : [...knownHeaders[field], field];
+    for (const candidate of candidates) {
+      const idx = normalized.indexOf(normalizeHeader(candidate));
+      if (idx !== -1) {
+        columns[field] = idx;
+        break;
+      }
+    }
+  }
+  if (requiredFields.some(f => columns[f] === undefined)) return null;
+  return columns;
+}
+
+/**
+ * Convert a row of cell values to a Row using the located columns
+ * @param {unknown[]} values Cell values
+ * @param {Partial<Record<Field, number>>} columns Column index of each field
+ * @returns {Omit<Row, 'line'>}
+ */
+function toRow(values, columns) {
+  /**
+   * @param {Field} field
+   * @returns {string}
+   */
+  const cell = field => {
+    const idx = columns[field];
+    if (idx === undefined) return '';
+    const value = values[idx];
+    if (value === undefined || value === null) return '';
+    return String(value).trim();
+  };
+  const etvFactorStr = cell('etvFactor');
+
+  return {
+    number: cell('number'),
+    asin: cell('asin'),
+    product: cell('product'),
+    type: cell('type'),
+    orderedAtStr: cell('orderedAt'),
+    deliveredAtStr: columns.deliveredAt === undefined ? undefined : cell('deliveredAt'),
+    cancelledDateStr: cell('cancelledAt'),
+    etvStr: cell('etv'),
+    etvFactor: etvFactorStr ? parseFloat(etvFactorStr) : null
+  };
+}
+
+/**
+ * @typedef {object} ValidOrderRow
+ * @prop {'order'} kind
+ * @prop {import('./index').Order} order The order to insert or update
+ * @prop {boolean} hasDeliveredAt Whether the file says when the order shipped, or that it hasn't
+ */
+/**
+ * @typedef {object} ValidCancellationRow
+ * @prop {'cancellation'} kind
+ * @prop {string} number Order number of the cancelled order
+ * @prop {Date} cancelledAt When the order was cancelled
  */
-async function xlsxParse(buffer) {
-  const workbook = XLSX.read(buffer, { type: 'buffer' });
-  const sheetName = workbook.SheetNames[0];
-  const worksheet = workbook.Sheets[sheetName];
-  const jsonData = XLSX.utils.sheet_to_json(worksheet, { range: 2 }); // Skip first 3 rows (0-indexed)
-
-  return jsonData.map(row => {
-    // Assuming the Excel columns are named:
-    // - 'Order Number',
-    // - 'ASIN',
-    // - 'Product Name',
-    // - 'Order Type',
-    // - 'Order Date',
-    // - 'Shipped Date',
-    // - 'Cancelled Date',
-    // - 'Estimated Tax Value'
-    // - 'ETV Factor' (optional)
-    const number = String(row['Order Number']).trim();
-    const asin = String(row['ASIN']).trim();
-    const product = String(row['Product Name']).trim();
-    const type = String(row['Order Type']).trim();
-    const orderedAtStr = String(row['Order Date']).trim();
-    const deliveredAtStr = String(row['Shipped Date']).trim();
-    const cancelledDateStr = String(row['Cancelled Date']).trim();
-    const etvStr = String(row['Estimated Tax Value']).trim();
-    const etvFactor = row['ETV Factor'] !== undefined ? parseFloat(String(row['ETV Factor']).trim()) : null;
-
-    if (!number || !(/^\d/.test(number))) {
-      console.warn('Skipping row with missing or invalid order number');
-      return null;
+/**
+ * @typedef {object} InvalidRow
+ * @prop {'invalid'} kind
+ * @prop {string} reason Why the row was rejected
+ */
+/**
+ * Validate a parsed row and convert it to an order or a cancellation
+ * @param {Row} row Parsed row
+ * @returns {ValidOrderRow | ValidCancellationRow | InvalidRow}
+ */
+function validateRow(row) {
+  const { number, asin, product, type, orderedAtStr, deliveredAtStr, cancelledDateStr, etvStr, etvFactor } = row;
+  if (!number || !(/^\d/.test(number))) {
+    return { kind: 'invalid', reason: `Missing or invalid order number '${number}'` };
+  }
+
+  if (type.toUpperCase() === 'CANCELLATION') {
+    const cancelledAt = new Date(cancelledDateStr);
+    if (!cancelledDateStr || isNaN(cancelledAt.getTime())) {
+      return { kind: 'invalid', reason: `Missing or invalid cancelled date '${cancelledDateStr}'` };
     }
+    return { kind: 'cancellation', number, cancelledAt };
+  }
+
+  const orderedAt = new Date(orderedAtStr);
+  if (!orderedAtStr || isNaN(orderedAt.getTime())) {
+    return { kind: 'invalid', reason: `Missing or invalid order date '${orderedAtStr}'` };
+  }
+  const deliveredAt = deliveredAtStr ? new Date(deliveredAtStr) : undefined;
+  if (deliveredAt && isNaN(deliveredAt.getTime())) {
+    return { kind: 'invalid', reason: `Invalid shipped date '${deliveredAtStr}'` };
+  }
+  const etv = parseFloat(etvStr.replace(/[$,]/g, ''));
+  if (!etvStr || !Number.isFinite(etv) || etv < 0) {
+    return { kind: 'invalid', reason: `Missing or invalid ETV '${etvStr}'` };
+  }
+  if (etvFactor !== null && (!Number.isFinite(etvFactor) || etvFactor < 0)) {
+    return { kind: 'invalid', reason: 'Invalid ETV factor' };
+  }
 
-    return {
+  return {
+    kind: 'order',
+    order: {
       number,
       asin,
       product,
-      type,
-      orderedAtStr,
-      deliveredAtStr,
-      cancelledDateStr,
-      etvStr,
+      orderedAt,
+      deliveredAt,
+      etv,
       etvFactor
-    }
-  }).filter(isTruthy);
+    },
+    hasDeliveredAt: deliveredAtStr !== undefined
+  };
 }
 
 /**
- * @param {T} value
- * @returns {value is NonNullable<T>}
- * @template T
+ * Get the order to store for a validated row, keeping what's already stored for anything the file doesn't say, so
+ * importing a file without a shipped date column doesn't clear the shipped dates
+ * @param {ValidOrderRow} validated Validated row
+ * @param {import('./index').Order} [existing] The stored order, if it's been imported before
+ * @returns {import('./index').Order}
  */
-function isTruthy(value) {
-  return Boolean(value);
+function mergeImportedOrder(validated, existing) {
+  if (!existing || validated.hasDeliveredAt) return validated.order;
+  return { ...validated.order, deliveredAt: existing.deliveredAt };
 }
 
 module.exports = {
-  xlsxParse
+  ImportFormatError,
+  csvParse,
+  knownHeaders,
+  jsonParse,
+  mergeImportedOrder,
+  xlsxParse,
+  validateRow
 };